@@ -0,0 +1,404 @@
+/**
+ * ABALLE artwork sampling — rules shared by the live DOM sampler in reveal.js
+ * and the offline baker in tools/bake-artwork.js, so both produce the same lines.
+ *
+ * Plain script in the browser (window.ArtworkSampling), CommonJS module in Node.
+ */
+
+(function (root) {
+    // Sampled in this order (all paths first, then polygons, ...) — line indices depend on it
+    const SHAPE_TAGS = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+
+    const BAKE_FORMAT = 'aballe-artwork';
+    const BAKE_VERSION = 3;             // 2 adds per-path styles, 3 dash patterns; older is still readable
+
+    // Containers we descend into; defs, symbol, clipPath, mask, marker and
+    // pattern content is only drawn through <use> (or not at all)
+    const CONTAINER_TAGS = ['svg', 'g', 'a', 'switch'];
+
+    // One point per 2 units of length, clamped to 20–150
+    function pointCount(pathLength) {
+        return Math.max(20, Math.min(150, Math.ceil(pathLength / 2)));
+    }
+
+    // ---- Transforms: 2D affine [a, b, c, d, e, f], same layout as SVGMatrix ----
+
+    const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    function applyMatrix(m, p) {
+        return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+    }
+
+    // transform="..." attribute → matrix (unknown functions are ignored)
+    function parseTransform(text) {
+        let matrix = IDENTITY;
+        if (!text) return matrix;
+
+        const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = re.exec(text))) {
+            const v = match[2].trim().split(/[\s,]+/).filter(Boolean).map(Number);
+            const rad = (v[0] || 0) * Math.PI / 180;
+            let m = IDENTITY;
+            switch (match[1]) {
+                case 'matrix':
+                    if (v.length === 6) m = v;
+                    break;
+                case 'translate':
+                    m = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+                    break;
+                case 'scale':
+                    m = [v[0], 0, 0, v.length > 1 ? v[1] : v[0], 0, 0];
+                    break;
+                case 'rotate': {
+                    const cos = Math.cos(rad), sin = Math.sin(rad);
+                    const cx = v[1] || 0, cy = v[2] || 0;
+                    m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    m = [1, 0, Math.tan(rad), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    m = [1, Math.tan(rad), 0, 1, 0, 0];
+                    break;
+            }
+            if (m.every(Number.isFinite)) matrix = multiply(matrix, m);
+        }
+        return matrix;
+    }
+
+    // Uniform scale of a matrix (geometric mean of its axes) — stroke widths, sample density
+    function matrixScale(m) {
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    // ---- Document walk ----
+    // `tree` adapts the element API: { tag(el), attr(el, name), style(el, property),
+    // children(el), byId(id) } where style() is the computed CSS value — the live
+    // SVG DOM in reveal.js, the parsed XML in tools/svg-geometry.js.
+
+    function numberAttr(tree, el, name) {
+        const value = parseFloat(tree.attr(el, name));
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    // Plain or px lengths only — percentages and physical units have no user-space size
+    function lengthAttr(tree, el, name) {
+        const match = /^\s*([-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?)(px)?\s*$/i.exec(tree.attr(el, name) || '');
+        return match ? parseFloat(match[1]) : null;
+    }
+
+    function parseViewBox(text) {
+        const v = (text || '').trim().split(/[\s,]+/).map(Number);
+        if (v.length !== 4 || !v.every(Number.isFinite) || v[2] <= 0 || v[3] <= 0) return null;
+        return { minX: v[0], minY: v[1], width: v[2], height: v[3] };
+    }
+
+    // The artwork frame in root user space: viewBox, else width/height, else null (use bounds)
+    function readViewport(tree, svg) {
+        const viewBox = parseViewBox(tree.attr(svg, 'viewBox'));
+        if (viewBox) return viewBox;
+
+        const width = lengthAttr(tree, svg, 'width'), height = lengthAttr(tree, svg, 'height');
+        if (width > 0 && height > 0) return { minX: 0, minY: 0, width, height };
+        return null;
+    }
+
+    // A viewBox fitted into a width × height viewport, per preserveAspectRatio
+    // (default 'xMidYMid meet')
+    function viewBoxMatrix(viewBox, width, height, preserveAspectRatio) {
+        const words = (preserveAspectRatio || '').trim().split(/\s+/).filter(word => word && word !== 'defer');
+        const align = words[0] || 'xMidYMid';
+        let scaleX = width / viewBox.width, scaleY = height / viewBox.height;
+        let alignX = 0, alignY = 0;
+        if (align !== 'none') {
+            scaleX = scaleY = words[1] === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+            // Share of the leftover space before the content: Min 0, Mid ½, Max 1
+            const share = part => part === 'Min' ? 0 : part === 'Max' ? 1 : 0.5;
+            alignX = share(align.slice(1, 4));
+            alignY = share(align.slice(5, 8));
+        }
+        return [scaleX, 0, 0, scaleY,
+            (width - viewBox.width * scaleX) * alignX - viewBox.minX * scaleX,
+            (height - viewBox.height * scaleY) * alignY - viewBox.minY * scaleY];
+    }
+
+    // Nested <svg>: x/y offset, plus its viewBox fitted into width × height
+    function nestedSvgMatrix(tree, el) {
+        const matrix = [1, 0, 0, 1, numberAttr(tree, el, 'x'), numberAttr(tree, el, 'y')];
+        const viewBox = parseViewBox(tree.attr(el, 'viewBox'));
+        const width = lengthAttr(tree, el, 'width'), height = lengthAttr(tree, el, 'height');
+        if (!viewBox || !(width > 0 && height > 0)) return matrix;
+        return multiply(matrix, viewBoxMatrix(viewBox, width, height, tree.attr(el, 'preserveAspectRatio')));
+    }
+
+    // <use> of a <symbol>: x/y offset, plus the symbol's viewBox fitted into the
+    // use's width × height (else the symbol's own, else 100% of the root viewport)
+    function symbolMatrix(tree, use, symbol, viewport) {
+        const matrix = [1, 0, 0, 1, numberAttr(tree, use, 'x'), numberAttr(tree, use, 'y')];
+        const viewBox = parseViewBox(tree.attr(symbol, 'viewBox'));
+        const size = name => lengthAttr(tree, use, name) || lengthAttr(tree, symbol, name) || (viewport && viewport[name]);
+        const width = size('width'), height = size('height');
+        if (!viewBox || !(width > 0 && height > 0)) return matrix;
+        return multiply(matrix, viewBoxMatrix(viewBox, width, height, tree.attr(symbol, 'preserveAspectRatio')));
+    }
+
+    function useTarget(tree, el) {
+        const href = tree.attr(el, 'href') || tree.attr(el, 'xlink:href') || '';
+        return href[0] === '#' ? tree.byId(href.slice(1)) : null;
+    }
+
+    // Every drawable shape with its matrix to root user space (the CTM without the
+    // root viewBox mapping), <use> references expanded in place. Grouped by SHAPE_TAGS.
+    function collectShapes(tree, svg) {
+        const shapes = [];
+        const viewport = readViewport(tree, svg);
+
+        // path: the elements above el, through <use> references included
+        const visit = (el, parentMatrix, path) => {
+            const tag = tree.tag(el);
+            let matrix = multiply(parentMatrix, parseTransform(tree.attr(el, 'transform')));
+
+            if (SHAPE_TAGS.includes(tag)) {
+                shapes.push({ element: el, tag, matrix });
+            } else if (tag === 'use') {
+                const target = useTarget(tree, el);
+                // Like the browser, a reference back into itself draws nothing
+                if (!target || target === el || path.includes(target)) return;
+                const chain = path.concat(el, target);
+                // A referenced <symbol> draws its children in its own viewport; anything else draws itself
+                if (tree.tag(target) === 'symbol') {
+                    matrix = multiply(matrix, symbolMatrix(tree, el, target, viewport));
+                    tree.children(target).forEach(child => visit(child, matrix, chain));
+                } else {
+                    matrix = multiply(matrix, [1, 0, 0, 1, numberAttr(tree, el, 'x'), numberAttr(tree, el, 'y')]);
+                    visit(target, matrix, chain);
+                }
+            } else if (CONTAINER_TAGS.includes(tag)) {
+                if (tag === 'svg' && el !== svg) matrix = multiply(matrix, nestedSvgMatrix(tree, el));
+                const chain = path.concat(el);
+                tree.children(el).forEach(child => visit(child, matrix, chain));
+            }
+        };
+
+        // The root's own transform and viewBox mapping are not part of artwork space
+        tree.children(svg).forEach(child => visit(child, IDENTITY, []));
+
+        // Stable sort: document order within each tag, tags in SHAPE_TAGS order
+        return shapes.sort((a, b) => SHAPE_TAGS.indexOf(a.tag) - SHAPE_TAGS.indexOf(b.tag));
+    }
+
+    // ---- Sampling ----
+
+    // Sample anything with getTotalLength()/getPointAtLength() (SVG DOM element or
+    // baked-geometry shape) into root user space. null if empty.
+    function sampleShape(shape, matrix = IDENTITY) {
+        const pathLength = shape.getTotalLength();
+        if (!(pathLength > 0)) return null;
+
+        // Density follows the drawn length, not the local one
+        const numPoints = pointCount(pathLength * matrixScale(matrix));
+        const pathPoints = [];
+        for (let i = 0; i <= numPoints; i++) {
+            const t = i / numPoints;
+            const point = applyMatrix(matrix, shape.getPointAtLength(t * pathLength));
+            pathPoints.push({ x: point.x, y: point.y, z: 0 });
+        }
+        return pathPoints;
+    }
+
+    // ---- Style ----
+
+    const NAMED_COLORS = {
+        black: '#000000', silver: '#c0c0c0', gray: '#808080', grey: '#808080', white: '#ffffff',
+        maroon: '#800000', red: '#ff0000', purple: '#800080', fuchsia: '#ff00ff',
+        green: '#008000', lime: '#00ff00', olive: '#808000', yellow: '#ffff00',
+        navy: '#000080', blue: '#0000ff', teal: '#008080', aqua: '#00ffff'
+    };
+
+    // CSS color → '#rrggbb'; null for none, transparent and anything unsupported
+    // (currentColor, url(#gradient) paint servers, hsl())
+    function parseColor(value) {
+        if (!value) return null;
+        const text = value.trim().toLowerCase();
+        if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+
+        let match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(text);
+        if (match) {
+            const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+            return '#' + hex;
+        }
+
+        match = /^rgba?\(([^)]*)\)$/.exec(text);
+        if (match) {
+            const v = match[1].split(/[\s,/]+/).filter(Boolean);
+            if (v.length < 3 || (v.length > 3 && parseFloat(v[3]) === 0)) return null;
+            const channel = c => Math.max(0, Math.min(255, Math.round(
+                c.endsWith('%') ? parseFloat(c) * 2.55 : parseFloat(c))));
+            return '#' + v.slice(0, 3).map(c => channel(c).toString(16).padStart(2, '0')).join('');
+        }
+        return null;
+    }
+
+    // stroke-dasharray → dash and gap lengths (an odd list repeated, as SVG does);
+    // null for none, percentages and anything invalid or all zero
+    function parseDashArray(value) {
+        if (!value || value.trim() === 'none') return null;
+        const parts = value.trim().split(/[\s,]+/);
+        if (parts.some(part => !/^(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?(px)?$/i.test(part))) return null;
+        const lengths = parts.map(parseFloat);
+        if (!lengths.some(length => length > 0)) return null;
+        return lengths.length % 2 ? lengths.concat(lengths) : lengths;
+    }
+
+    // { stroke, fill, strokeWidth, dashArray, dashOffset } for a shape; colors as
+    // '#rrggbb' or null, lengths in root user units (strokeWidth 0 and dashArray
+    // null when there is no stroke)
+    function readStyle(tree, el, tag, matrix) {
+        const stroke = parseColor(tree.style(el, 'stroke'));
+        const fill = tag === 'line' ? null : parseColor(tree.style(el, 'fill'));
+        const width = parseFloat(tree.style(el, 'stroke-width'));
+        const scale = matrixScale(matrix);
+        const dashes = stroke ? parseDashArray(tree.style(el, 'stroke-dasharray')) : null;
+        const offset = parseFloat(tree.style(el, 'stroke-dashoffset'));
+        return {
+            stroke,
+            fill,
+            strokeWidth: stroke && width > 0 ? width * scale : 0,
+            dashArray: dashes && dashes.map(length => length * scale),
+            dashOffset: dashes && Number.isFinite(offset) ? offset * scale : 0
+        };
+    }
+
+    function boundsOf(paths) {
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (const path of paths) {
+            for (const p of path) {
+                if (p.x < minX) minX = p.x;
+                if (p.x > maxX) maxX = p.x;
+                if (p.y < minY) minY = p.y;
+                if (p.y > maxY) maxY = p.y;
+            }
+        }
+        if (minX > maxX) return { minX: 0, minY: 0, width: 0, height: 0 };
+        return { minX, minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    // Sample a whole <svg>: centered on its frame, y up, unscaled, with each
+    // path's style at the same index. geometry(element) returns the sampleable
+    // shape for an element. Shapes that fail are reported in errors ({ tag, error }).
+    function sampleArtwork(tree, svg, geometry) {
+        const rawPaths = [];
+        const styles = [];
+        const errors = [];
+
+        for (const { element, tag, matrix } of collectShapes(tree, svg)) {
+            try {
+                const pathPoints = sampleShape(geometry(element), matrix);
+                if (!pathPoints) continue;
+                styles.push(readStyle(tree, element, tag, matrix));
+                rawPaths.push(pathPoints);
+            } catch (error) {
+                errors.push({ tag, error });
+            }
+        }
+
+        const frame = readViewport(tree, svg) || boundsOf(rawPaths);
+        const cx = frame.minX + frame.width / 2;
+        const cy = frame.minY + frame.height / 2;
+        for (const path of rawPaths) {
+            for (const p of path) {
+                p.x -= cx;
+                p.y = -(p.y - cy);
+            }
+        }
+        return { rawPaths, styles, width: frame.width, height: frame.height, errors };
+    }
+
+    // Indices of the maxLines largest paths (bounding-box width + height), in
+    // original order — apply to rawPaths and styles alike
+    function keptPathIndices(paths, maxLines) {
+        const all = paths.map((path, idx) => idx);
+        if (!(maxLines > 0) || paths.length <= maxLines) return all;
+
+        const size = all.map(idx => {
+            const bounds = boundsOf([paths[idx]]);
+            return bounds.width + bounds.height;
+        });
+        return all
+            .sort((a, b) => size[b] - size[a])
+            .slice(0, maxLines)
+            .sort((a, b) => a - b);
+    }
+
+    // Compact JSON form: flat [x, y, x, y, ...] per path, 2 decimals (z is always 0)
+    function bake(rawPaths, styles, width, height, source) {
+        const round = v => Math.round(v * 100) / 100;
+        const round3 = v => Math.round(v * 1000) / 1000;
+        return {
+            format: BAKE_FORMAT,
+            version: BAKE_VERSION,
+            source,
+            width,
+            height,
+            paths: rawPaths.map(path => {
+                const flat = [];
+                for (const p of path) flat.push(round(p.x), round(p.y));
+                return flat;
+            }),
+            styles: styles.map(style => {
+                const baked = {
+                    stroke: style.stroke,
+                    fill: style.fill,
+                    strokeWidth: round3(style.strokeWidth)
+                };
+                // Dash fields only on dashed paths
+                if (style.dashArray) {
+                    baked.dashArray = style.dashArray.map(round3);
+                    baked.dashOffset = round3(style.dashOffset);
+                }
+                return baked;
+            })
+        };
+    }
+
+    function unbake(data) {
+        if (!data || data.format !== BAKE_FORMAT || !(data.version >= 1 && data.version <= BAKE_VERSION)) {
+            throw new Error('Not a baked ABALLE artwork (or unsupported version)');
+        }
+        const rawPaths = data.paths.map(flat => {
+            const path = [];
+            for (let i = 0; i < flat.length; i += 2) {
+                path.push({ x: flat[i], y: flat[i + 1], z: 0 });
+            }
+            return path;
+        });
+        // Version 1 has no styles: draw everything in the theme colors. Solid unless dashed.
+        const styles = (data.styles || rawPaths.map(() => ({ stroke: null, fill: null, strokeWidth: 0 })))
+            .map(style => ({ ...style, dashArray: style.dashArray || null, dashOffset: style.dashOffset || 0 }));
+        return { rawPaths, styles, width: data.width, height: data.height };
+    }
+
+    const ArtworkSampling = {
+        SHAPE_TAGS, pointCount, parseTransform, parseColor, parseDashArray, readViewport, collectShapes,
+        sampleShape, sampleArtwork, keptPathIndices, bake, unbake
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ArtworkSampling;
+    } else {
+        root.ArtworkSampling = ArtworkSampling;
+    }
+})(this);
@@ -0,0 +1,731 @@
+/**
+ * ABALLE reveal core — the geometry and timing behind the hero animation:
+ * artwork fitting, reveal and swap poses, the swap timeline and the spring
+ * physics. No three.js and no DOM, so it runs (and is tested) in Node.
+ * Points are plain { x, y, z }; anything with those fields (THREE.Vector3) works.
+ *
+ * Plain script in the browser (window.RevealCore), CommonJS module in Node.
+ */
+
+(function (root) {
+    // Ids (key order) are what the shader's swapEase() switches on
+    const SWAP_EASINGS = {
+        linear: t => t,
+        easeInQuad: t => t * t,
+        easeOutQuad: t => 1 - (1 - t) * (1 - t),
+        easeInOutQuad: t => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2,
+        easeInCubic: t => t * t * t,
+        easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+        easeInOutCubic: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2,
+        easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+        easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2)
+    };
+    const SWAP_POSES = ['start', 'displaced', 'target'];
+    const SWAP_MOTIONS = ['direct', 'split', 'spiral', 'drift'];
+    const SWAP_DISPLACEMENTS = ['scatter', 'explode', 'spiral', 'sweep'];
+
+    const easeInOutCubic = SWAP_EASINGS.easeInOutCubic;
+
+    // Built-in swap choreographies (the preset format is in README.md)
+    const SWAP_PRESETS = {
+        // Split, slow-motion hang, reassemble
+        shatter: {
+            displacement: 'scatter',
+            phases: [
+                { name: 'break', duration: 0.12, from: 'start', to: 'displaced', motion: 'split', easing: 'easeOutCubic', accent: [0, 0.7], opacity: [0.8, 0.7] },
+                { name: 'drift', duration: 0.53, from: 'displaced', to: 'displaced', motion: 'drift', accent: [0.7, 0.7], opacity: [0.7, 0.7] },
+                { name: 'reassemble', duration: 0.35, from: 'displaced', to: 'target', motion: 'split', easing: 'easeInOutCubic', accent: [0.7, 0], opacity: [0.7, 0.8] }
+            ]
+        },
+        explode: {
+            displacement: 'explode',
+            phases: [
+                { name: 'break', duration: 0.15, from: 'start', to: 'displaced', easing: 'easeOutCubic', accent: [0, 0.9], opacity: [0.8, 0.6] },
+                { name: 'drift', duration: 0.35, from: 'displaced', to: 'displaced', motion: 'drift', accent: [0.9, 0.6], opacity: [0.6, 0.6] },
+                { name: 'reassemble', duration: 0.5, from: 'displaced', to: 'target', easing: 'easeInOutCubic', accent: [0.6, 0], opacity: [0.6, 0.8] }
+            ]
+        },
+        spiral: {
+            displacement: 'spiral',
+            phases: [
+                { name: 'break', duration: 0.3, from: 'start', to: 'displaced', motion: 'spiral', easing: 'easeInOutSine', accent: [0, 0.5], opacity: [0.8, 0.6] },
+                { name: 'drift', duration: 0.2, from: 'displaced', to: 'displaced', motion: 'drift', accent: [0.5, 0.5], opacity: [0.6, 0.6] },
+                { name: 'reassemble', duration: 0.5, from: 'displaced', to: 'target', motion: 'spiral', easing: 'easeInOutCubic', accent: [0.5, 0], opacity: [0.6, 0.8] }
+            ]
+        },
+        sweep: {
+            displacement: 'sweep',
+            phases: [
+                { name: 'break', duration: 0.35, from: 'start', to: 'displaced', easing: 'easeInCubic', accent: [0, 0.4], opacity: [0.8, 0.3] },
+                { name: 'reassemble', duration: 0.65, from: 'displaced', to: 'target', easing: 'easeOutBack', accent: [0.4, 0], opacity: [0.3, 0.8] }
+            ]
+        }
+    };
+
+    function setPoint(out, x, y, z) {
+        out.x = x;
+        out.y = y;
+        out.z = z;
+        return out;
+    }
+
+    // a → b by t; exactly b at t = 1
+    function lerp(a, b, t) {
+        return a * (1 - t) + b * t;
+    }
+
+    // ---- Random ----
+
+    // Seeded random numbers (config.seed): mulberry32, 0 ≤ n < 1
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Any seed (number or URL string) → 32-bit integer (FNV-1a)
+    function hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (const char of String(seed)) {
+            hash ^= char.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // ---- Layout ----
+
+    // World units per SVG unit for an artwork ({ svgWidth, svgHeight, fit, padding })
+    // in a width × height viewport
+    function fitScale(artwork, width, height) {
+        if (width < 768) {
+            const scaleX = (width - artwork.padding.x * 2) / artwork.svgWidth;
+            // 'width': fill the width, height may overflow
+            if (artwork.fit === 'width') return scaleX;
+            const scaleY = (height - artwork.padding.y * 2) / artwork.svgHeight;
+            return Math.min(scaleX, scaleY);
+        }
+        // Desktop: balanced scaling for every artwork
+        const padding = 80;
+        return Math.min((width - padding * 2) / artwork.svgWidth, (height - padding * 2) / artwork.svgHeight) * 0.55;
+    }
+
+    function scalePaths(rawPaths, scale) {
+        return rawPaths.map(path => path.map(p => ({ x: p.x * scale, y: p.y * scale, z: p.z })));
+    }
+
+    // A line's rest positions: the path, its last point repeated to fill the line
+    // (all at the origin without a path). Returns the path's point count.
+    function fillTargets(out, path, pointsPerLine) {
+        const count = path ? path.length : 0;
+        for (let j = 0; j < pointsPerLine; j++) {
+            const p = count ? path[Math.min(j, count - 1)] : null;
+            if (p) setPoint(out[j], p.x, p.y, p.z);
+            else setPoint(out[j], 0, 0, 0);
+        }
+        return count;
+    }
+
+    // ---- Reveal ----
+
+    // Somewhere around a target point to fly in from
+    function scatterPoint(target, radius, random) {
+        const angle = random() * Math.PI * 2;
+        const dist = radius * (0.4 + random() * 0.6);
+        return {
+            x: target.x + Math.cos(angle) * dist,
+            y: target.y + Math.sin(angle) * dist,
+            z: (random() - 0.5) * 150
+        };
+    }
+
+    function revealPoint(out, scattered, target, t) {
+        return setPoint(out, lerp(scattered.x, target.x, t), lerp(scattered.y, target.y, t), lerp(scattered.z, target.z, t));
+    }
+
+    // Opacity ramps faster than position — full at ~60% of reveal
+    function revealOpacity(t) {
+        return Math.min(1, t * 1.6) * 0.8;
+    }
+
+    // A line's own 0→1 progress: it starts `delay` (0–1) of `amount` late and runs
+    // at a speed that still finishes with everything else
+    function staggeredProgress(progress, delay, amount) {
+        const share = Math.min(amount, 0.95);
+        return Math.min(1, Math.max(0, (progress - delay * share) / (1 - share)));
+    }
+
+    // ---- Swap planning ----
+
+    // Evenly spaced copy of a polyline, measured by arc length. `from`/`to`
+    // are fractions of the total length, so this also cuts out a piece.
+    function resamplePath(points, count, from = 0, to = 1) {
+        const lengths = [0];
+        for (let k = 1; k < points.length; k++) {
+            const a = points[k - 1], b = points[k];
+            const dx = b.x - a.x, dy = b.y - a.y;
+            lengths.push(lengths[k - 1] + Math.sqrt(dx * dx + dy * dy));
+        }
+        const total = lengths[lengths.length - 1];
+        const result = [];
+        let seg = 1;
+        for (let k = 0; k < count; k++) {
+            const f = count > 1 ? from + (to - from) * k / (count - 1) : from;
+            const s = f * total;
+            while (seg < points.length - 1 && lengths[seg] < s) seg++;
+            const a = points[Math.max(0, seg - 1)], b = points[Math.min(seg, points.length - 1)];
+            const span = lengths[seg] - lengths[seg - 1] || 0;
+            const t = span > 0 ? Math.min(1, Math.max(0, (s - lengths[seg - 1]) / span)) : 0;
+            result.push({
+                x: a.x + (b.x - a.x) * t,
+                y: a.y + (b.y - a.y) * t,
+                z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * t
+            });
+        }
+        return result;
+    }
+
+    // `count` copies of the points, the last one repeated
+    function padPath(points, count) {
+        const line = [];
+        for (let j = 0; j < count; j++) {
+            const p = points[Math.min(j, points.length - 1)];
+            line.push({ x: p.x, y: p.y, z: p.z || 0 });
+        }
+        return line;
+    }
+
+    // Position, length and principal direction of a path, used to pair paths
+    function describePath(path) {
+        const samples = resamplePath(path, 16);
+        samples.forEach((s, k) => {
+            const next = samples[Math.min(k + 1, samples.length - 1)];
+            const prev = samples[Math.max(k - 1, 0)];
+            const tx = next.x - prev.x, ty = next.y - prev.y;
+            const tl = Math.sqrt(tx * tx + ty * ty) || 1;
+            s.tx = tx / tl;
+            s.ty = ty / tl;
+        });
+        let length = 0;
+        for (let k = 1; k < path.length; k++) {
+            const dx = path[k].x - path[k - 1].x, dy = path[k].y - path[k - 1].y;
+            length += Math.sqrt(dx * dx + dy * dy);
+        }
+        let cx = 0, cy = 0;
+        for (const p of samples) { cx += p.x; cy += p.y; }
+        cx /= samples.length; cy /= samples.length;
+        let xx = 0, yy = 0, xy = 0;
+        for (const p of samples) {
+            xx += (p.x - cx) * (p.x - cx);
+            yy += (p.y - cy) * (p.y - cy);
+            xy += (p.x - cx) * (p.y - cy);
+        }
+        // Principal axis of the covariance; anisotropy is 0 for round shapes
+        const angle = 0.5 * Math.atan2(2 * xy, xx - yy);
+        const spread = Math.hypot(xx - yy, 2 * xy);
+        return {
+            samples,
+            cx, cy,
+            length: Math.max(length, 1e-6),
+            axisX: Math.cos(angle),
+            axisY: Math.sin(angle),
+            anisotropy: xx + yy > 0 ? spread / (xx + yy) : 0
+        };
+    }
+
+    // Pair every child path with a parent; siblings split the parent's arc length in order
+    function planCorrespondence(parentPaths, childPaths) {
+        const parents = parentPaths.map(describePath);
+        const children = childPaths.map(describePath);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const d of parents.concat(children)) {
+            minX = Math.min(minX, d.cx); maxX = Math.max(maxX, d.cx);
+            minY = Math.min(minY, d.cy); maxY = Math.max(maxY, d.cy);
+        }
+        const scale = Math.hypot(maxX - minX, maxY - minY) || 1;
+
+        const matchCost = (p, c) => {
+            const position = Math.hypot(p.cx - c.cx, p.cy - c.cy) / scale;
+            const length = Math.abs(Math.log(p.length / c.length));
+            const direction = p.anisotropy * c.anisotropy *
+                (1 - Math.abs(p.axisX * c.axisX + p.axisY * c.axisY));
+            return position + 0.15 * length + 0.1 * direction;
+        };
+
+        // One-to-one: greedy over each parent's best few candidates
+        const candidates = [];
+        const shortlist = Math.min(children.length, 8);
+        parents.forEach((p, pi) => {
+            const costs = children.map((c, ci) => ({ pi, ci, cost: matchCost(p, c) }));
+            costs.sort((a, b) => a.cost - b.cost);
+            candidates.push(...costs.slice(0, shortlist));
+        });
+        candidates.sort((a, b) => a.cost - b.cost);
+
+        const main = new Array(parents.length).fill(-1);
+        const parentOf = new Array(children.length).fill(-1);
+        for (const { pi, ci } of candidates) {
+            if (main[pi] !== -1 || parentOf[ci] !== -1) continue;
+            main[pi] = ci;
+            parentOf[ci] = pi;
+        }
+        parents.forEach((p, pi) => {
+            if (main[pi] !== -1) return;
+            let best = -1, bestCost = Infinity;
+            children.forEach((c, ci) => {
+                if (parentOf[ci] !== -1) return;
+                const cost = matchCost(p, c);
+                if (cost < bestCost) { bestCost = cost; best = ci; }
+            });
+            if (best === -1) return;
+            main[pi] = best;
+            parentOf[best] = pi;
+        });
+
+        // Many-to-one: nearest point on a parent, weighted by how well the
+        // child runs along it there. `along` orders siblings on the parent.
+        const along = new Array(children.length).fill(0);
+        children.forEach((c, ci) => {
+            let best = parentOf[ci], bestCost = Infinity, bestAlong = 0;
+            parents.forEach((p, pi) => {
+                if (parentOf[ci] !== -1 && pi !== parentOf[ci]) return;
+                const n = p.samples.length;
+                for (let k = 0; k < n; k++) {
+                    const s = p.samples[k];
+                    const dx = s.x - c.cx, dy = s.y - c.cy;
+                    const cost = Math.sqrt(dx * dx + dy * dy) / scale + 0.1 * c.anisotropy *
+                        (1 - Math.abs(s.tx * c.axisX + s.ty * c.axisY));
+                    if (cost < bestCost) { bestCost = cost; best = pi; bestAlong = n > 1 ? k / (n - 1) : 0; }
+                }
+            });
+            parentOf[ci] = best;
+            along[ci] = bestAlong;
+        });
+
+        const siblings = parents.map(() => []);
+        children.forEach((c, ci) => siblings[parentOf[ci]].push(ci));
+        const piece = new Array(children.length);
+        const rank = new Array(children.length);
+        for (const group of siblings) {
+            group.sort((a, b) => along[a] - along[b] || a - b);
+            const total = group.reduce((sum, ci) => sum + children[ci].length, 0);
+            let from = 0;
+            group.forEach((ci, k) => {
+                const to = k === group.length - 1 ? 1 : from + children[ci].length / total;
+                piece[ci] = { from, to };
+                rank[ci] = k;
+                from = to;
+            });
+        }
+
+        return { parentOf, main, piece, rank, siblingCounts: siblings.map(group => group.length) };
+    }
+
+    // Reorder `points` (reverse, and for closed loops rotate the start) so it
+    // lines up point-for-point with `reference` of the same length
+    function alignPath(points, reference) {
+        const n = points.length;
+        if (n < 3) return points;
+        const centre = list => {
+            let x = 0, y = 0;
+            for (const p of list) { x += p.x; y += p.y; }
+            return { x: x / list.length, y: y / list.length };
+        };
+        const a = centre(points), b = centre(reference);
+        const first = points[0], last = points[n - 1];
+        let length = 0;
+        for (let k = 1; k < n; k++) {
+            const dx = points[k].x - points[k - 1].x, dy = points[k].y - points[k - 1].y;
+            length += Math.sqrt(dx * dx + dy * dy);
+        }
+        const closed = Math.hypot(last.x - first.x, last.y - first.y) < length * 0.05;
+
+        const loop = closed ? points.slice(0, n - 1) : points;
+        const steps = closed ? Math.min(loop.length, 32) : 1;
+        const stride = Math.max(1, Math.floor(n / 32));
+        let best = points, bestCost = Infinity;
+        for (const reversed of [false, true]) {
+            const base = reversed ? loop.slice().reverse() : loop;
+            for (let s = 0; s < steps; s++) {
+                const shift = Math.round(s * base.length / steps);
+                const candidate = closed
+                    ? base.slice(shift).concat(base.slice(0, shift))
+                    : base;
+                if (closed) candidate.push(candidate[0]);
+                let cost = 0;
+                for (let k = 0; k < n; k += stride) {
+                    const dx = (candidate[k].x - a.x) - (reference[k].x - b.x);
+                    const dy = (candidate[k].y - a.y) - (reference[k].y - b.y);
+                    cost += dx * dx + dy * dy;
+                }
+                if (cost < bestCost) { bestCost = cost; best = candidate; }
+            }
+        }
+        return best;
+    }
+
+    // Split or merge (the artwork with fewer lines is the parent), and for a merge
+    // slotOrder[i] = the old slot whose line moves into slot i
+    function pairArtworks(oldPaths, newPaths, lineCount) {
+        const isSplit = oldPaths.length <= newPaths.length;
+        const parentPaths = isSplit ? oldPaths : newPaths;
+        const childPaths = isSplit ? newPaths : oldPaths;
+        const plan = planCorrespondence(parentPaths, childPaths);
+
+        let slotOrder = null;
+        if (!isSplit) {
+            slotOrder = plan.main.slice();
+            const taken = new Set(slotOrder);
+            for (let i = 0; i < lineCount; i++) {
+                if (!taken.has(i)) slotOrder.push(i);
+            }
+        }
+        return { isSplit, parentPaths, childPaths, plan, slotOrder };
+    }
+
+    // Start and target pose of every line, and its split fan-out offset.
+    // `current` is the on-screen points, already in pairing.slotOrder.
+    function planSwapPoses(pairing, oldPaths, newPaths, current, { lineCount, pointsPerLine, splitDistance }) {
+        const { isSplit, parentPaths, childPaths, plan, slotOrder } = pairing;
+        const oldPathAt = i => slotOrder ? slotOrder[i] : i;
+        const onScreen = (i, count) => current[i].slice(0, Math.max(1, count));
+
+        // Parent and sibling order per slot (a split's children are the new
+        // paths, a merge's are the old ones)
+        const parentMap = [];
+        const siblingIndex = [];
+        for (let i = 0; i < lineCount; i++) {
+            const child = isSplit ? i : oldPathAt(i);
+            parentMap.push(child < childPaths.length ? plan.parentOf[child] : 0);
+            siblingIndex.push(child < childPaths.length ? plan.rank[child] : 0);
+        }
+
+        // Fan out -1 → 1 across a parent's children
+        const splitOffsets = [];
+        for (let i = 0; i < lineCount; i++) {
+            const parentPath = parentPaths[parentMap[i]];
+            if (!parentPath) {
+                splitOffsets.push({ x: 0, y: 0 });
+                continue;
+            }
+            const first = parentPath[0];
+            const last = parentPath[parentPath.length - 1];
+            let dx = last.x - first.x;
+            let dy = last.y - first.y;
+            const len = Math.sqrt(dx * dx + dy * dy) || 1;
+            dx /= len; dy /= len;
+            const siblings = plan.siblingCounts[parentMap[i]] || 1;
+            const spread = siblings > 1 ? (siblingIndex[i] / (siblings - 1) - 0.5) * 2 : 0;
+            splitOffsets.push({ x: -dy * spread * splitDistance, y: dx * spread * splitDistance });
+        }
+
+        const target = [];
+        for (let i = 0; i < lineCount; i++) {
+            const line = padPath([{ x: 0, y: 0, z: 0 }], pointsPerLine);
+            fillTargets(line, newPaths[i], pointsPerLine);
+            target.push(line);
+        }
+
+        const start = [];
+        for (let i = 0; i < lineCount; i++) {
+            if (isSplit) {
+                // Each child starts as its piece of the parent line
+                if (i < newPaths.length) {
+                    const parent = parentMap[i];
+                    const { from, to } = plan.piece[i];
+                    const end = resamplePath(newPaths[i], newPaths[i].length);
+                    const begin = resamplePath(onScreen(parent, oldPaths[parent].length), newPaths[i].length, from, to);
+                    start.push(padPath(alignPath(begin, end), pointsPerLine));
+                } else {
+                    start.push(padPath([{ x: 0, y: 0, z: 0 }], pointsPerLine));
+                }
+                continue;
+            }
+
+            // Merge: lines start from their on-screen positions
+            const old = oldPathAt(i);
+            if (i < newPaths.length) {
+                // Parent lines morph into their own new path
+                const end = resamplePath(newPaths[i], newPaths[i].length);
+                const begin = resamplePath(onScreen(i, oldPaths[old].length), newPaths[i].length);
+                start.push(padPath(alignPath(begin, end), pointsPerLine));
+            } else if (old < oldPaths.length) {
+                // Remaining child lines collapse onto their piece of the parent
+                const count = oldPaths[old].length;
+                const begin = resamplePath(onScreen(i, count), count);
+                const { from, to } = plan.piece[old];
+                const end = resamplePath(newPaths[parentMap[i]], count, from, to);
+                start.push(padPath(begin, pointsPerLine));
+                target[i] = padPath(alignPath(end, begin), pointsPerLine);
+            } else {
+                start.push(padPath(onScreen(i, 1), pointsPerLine));
+            }
+        }
+
+        return { start, target, splitOffsets, maxActive: Math.max(oldPaths.length, newPaths.length) };
+    }
+
+    // Mid-air pose for every line, around the midpoint of its start and target
+    // (a preset's `displacement`)
+    function displacedPose(start, target, style, distance, random) {
+        return start.map((line, i) => {
+            const mid = line.map((s, j) => ({
+                x: s.x + (target[i][j].x - s.x) * 0.5,
+                y: s.y + (target[i][j].y - s.y) * 0.5,
+                z: s.z + (target[i][j].z - s.z) * 0.5
+            }));
+            let cx = 0, cy = 0;
+            for (const p of mid) { cx += p.x; cy += p.y; }
+            cx /= mid.length; cy /= mid.length;
+
+            let dx = 0, dy = 0, turn = 0, scale = 1;
+            const dz = (random() - 0.5) * 15;
+            if (style === 'explode') {
+                // Straight out from the center, outer lines furthest
+                const radius = Math.sqrt(cx * cx + cy * cy);
+                const angle = radius > 1e-3 ? Math.atan2(cy, cx) : random() * Math.PI * 2;
+                const dist = distance * (0.6 + random() * 0.8) + radius * 0.6;
+                dx = Math.cos(angle) * dist;
+                dy = Math.sin(angle) * dist;
+            } else if (style === 'spiral') {
+                // Swung around the center and pushed slightly outward
+                turn = 0.6 + random() * 0.6;
+                scale = 1.25;
+            } else if (style === 'sweep') {
+                // Carried off to the side on a gentle wave
+                dx = distance * (2.5 + random());
+                dy = Math.sin(cx * 0.01) * distance * 0.3;
+            } else {
+                const angle = random() * Math.PI * 2;
+                const lineDrift = distance * (0.3 + random() * 1.0);
+                dx = Math.cos(angle) * lineDrift;
+                dy = Math.sin(angle) * lineDrift;
+            }
+
+            const cos = Math.cos(turn), sin = Math.sin(turn);
+            return mid.map(p => ({
+                x: (p.x * cos - p.y * sin) * scale + dx,
+                y: (p.x * sin + p.y * cos) * scale + dy,
+                z: dz
+            }));
+        });
+    }
+
+    // ---- Swap timeline ----
+
+    // Validate a choreography preset and lay its phases out on the 0→1 swap timeline
+    function compileSwapPreset({ displacement = 'scatter', phases = [] } = {}) {
+        if (!SWAP_DISPLACEMENTS.includes(displacement)) {
+            throw new Error(`Unknown swap displacement '${displacement}'`);
+        }
+        if (!phases.length) throw new Error('A swap preset needs at least one phase');
+
+        const easings = Object.keys(SWAP_EASINGS);
+        const durations = phases.map(phase => Math.max(0, 'duration' in phase ? phase.duration : 1));
+        const total = durations.reduce((sum, duration) => sum + duration, 0) || 1;
+        let time = 0;
+        const compiled = phases.map((phase, index) => {
+            const {
+                name = `phase${index + 1}`, from = 'start', to = 'target',
+                motion = 'direct', easing = 'linear', accent = [0, 0], opacity = [0.8, 0.8]
+            } = phase;
+            for (const pose of [from, to]) {
+                if (!SWAP_POSES.includes(pose)) throw new Error(`Unknown swap pose '${pose}' in phase '${name}'`);
+            }
+            if (!SWAP_MOTIONS.includes(motion)) throw new Error(`Unknown swap motion '${motion}' in phase '${name}'`);
+            if (!SWAP_EASINGS[easing]) throw new Error(`Unknown easing '${easing}' in phase '${name}'`);
+
+            const start = time;
+            time += durations[index] / total;
+            return {
+                name, start, end: index === phases.length - 1 ? 1 : time,
+                from: SWAP_POSES.indexOf(from), to: SWAP_POSES.indexOf(to),
+                motion, motionId: SWAP_MOTIONS.indexOf(motion),
+                ease: SWAP_EASINGS[easing], easingId: easings.indexOf(easing),
+                accent: [accent[0], accent[1]], opacity: [opacity[0], opacity[1]]
+            };
+        });
+        if (compiled[0].from !== 0 || compiled[compiled.length - 1].to !== 2) {
+            throw new Error("A swap preset must begin at 'start' and end at 'target'");
+        }
+
+        // New colors and widths arrive with the first phase heading for the target
+        return { displacement, phases: compiled, restyleAt: compiled.findIndex(phase => phase.to === 2) };
+    }
+
+    // Phase of a compiled timeline at a raw 0→1 progress, and how far through it
+    function swapPhaseAt(phases, progress) {
+        let index = 0;
+        while (index < phases.length - 1 && progress >= phases[index].end) index++;
+        const phase = phases[index];
+        const span = phase.end - phase.start;
+        const t = span > 0 ? Math.min(1, Math.max(0, (progress - phase.start) / span)) : 1;
+        return { phase, index, t };
+    }
+
+    // One frame of a time-driven swap: velocity turns toward `direction` (±1) over
+    // a quarter second per unit rather than snapping into reverse
+    function advanceSwap(progress, velocity, direction, dt, duration) {
+        const turn = dt / 0.25;
+        const next = velocity + Math.max(-turn, Math.min(turn, direction - velocity));
+        return { progress: Math.min(1, Math.max(0, progress + next * dt / duration)), velocity: next };
+    }
+
+    // Point j of line i, t through `phase` (eased: e); exactly on `to` at t = 1.
+    // Keep in sync with the shader's swapPosition().
+    function swapPosition(out, swap, i, j, phase, t, e) {
+        const from = swap.poses[phase.from][i][j];
+        const to = swap.poses[phase.to][i][j];
+        if (t >= 1) return setPoint(out, to.x, to.y, to.z);
+
+        if (phase.motion === 'split') {
+            const offset = swap.splitOffsets[i];
+            // The parent line is on the start side of a split and the target side of a merge
+            if (swap.isSplit && phase.from === 0) {
+                // Fan out perpendicular to the parent (first half), then drift away (from 30%)
+                const splitEase = phase.ease(Math.min(t / 0.5, 1));
+                const driftEase = phase.ease(Math.max(0, (t - 0.3) / 0.7));
+                const splitX = from.x + offset.x * splitEase;
+                const splitY = from.y + offset.y * splitEase;
+                return setPoint(out, lerp(splitX, to.x, driftEase), lerp(splitY, to.y, driftEase), lerp(from.z, to.z, driftEase));
+            }
+            if (!swap.isSplit && phase.to === 2) {
+                // Siblings arrive side by side and close up onto their parent
+                const mergedX = to.x + offset.x * (1 - e);
+                const mergedY = to.y + offset.y * (1 - e);
+                return setPoint(out, lerp(from.x, mergedX, e), lerp(from.y, mergedY, e), lerp(from.z, to.z, e));
+            }
+        } else if (phase.motion === 'spiral') {
+            // Radius and angle about the center interpolate, plus one full turn
+            const a0 = Math.atan2(from.y, from.x);
+            let da = Math.atan2(to.y, to.x) - a0;
+            da -= Math.PI * 2 * Math.floor((da + Math.PI) / (Math.PI * 2));
+            const a = a0 + (da + Math.PI * 2) * e;
+            const r = lerp(Math.sqrt(from.x * from.x + from.y * from.y), Math.sqrt(to.x * to.x + to.y * to.y), e);
+            return setPoint(out, Math.cos(a) * r, Math.sin(a) * r, lerp(from.z, to.z, e));
+        } else if (phase.motion === 'drift') {
+            // Slow-motion float; the envelope keeps the phase boundaries seamless
+            const envelope = Math.sin(t * Math.PI);
+            const breathe = Math.sin(t * Math.PI * 2.0) * swap.drift * envelope;
+            const sway = Math.cos(t * Math.PI * 1.5) * swap.drift * 0.5 * envelope;
+            return setPoint(out,
+                lerp(from.x, to.x, e) + Math.sin(i * 0.37 + j * 0.13) * breathe,
+                lerp(from.y, to.y, e) + Math.cos(i * 0.29 + j * 0.17) * sway,
+                lerp(from.z, to.z, e) + envelope * 5
+            );
+        }
+        return setPoint(out, lerp(from.x, to.x, e), lerp(from.y, to.y, e), lerp(from.z, to.z, e));
+    }
+
+    // A line's opacity t through phase `index` (keep in sync with the shader's swapOpacity())
+    function swapOpacity(phase, index, phaseCount, t, wasOld, isNew) {
+        const [from, to] = phase.opacity;
+        if (!wasOld && !isNew) return 0;
+        if (!wasOld && index === 0) return t * to;
+        if (!isNew && index === phaseCount - 1) return from * (1 - Math.max(0, (t - 0.4) / 0.6));
+        return from + (to - from) * t;
+    }
+
+    function swapAccent(phase, t) {
+        return phase.accent[0] + (phase.accent[1] - phase.accent[0]) * t;
+    }
+
+    // ---- Physics ----
+
+    // Fixed-timestep accumulator: whole steps to run for dt, and what's left over
+    function fixedSteps(accumulator, dt, step) {
+        let remainder = accumulator + dt;
+        let steps = 0;
+        while (remainder >= step) {
+            remainder -= step;
+            steps++;
+        }
+        return { steps, remainder };
+    }
+
+    // Add one force field's push (compiled: field.fade(u) is its falloff) from a
+    // pointer { x, y, vx, vy } to a point's velocity
+    function applyForce(field, pointer, point, velocity) {
+        const dx = point.x - pointer.x;
+        const dy = point.y - pointer.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq >= field.radius * field.radius || distSq === 0) return;
+
+        const dist = Math.sqrt(distSq);
+        const nx = dx / dist, ny = dy / dist;
+        const force = field.fade(dist / field.radius) * field.strength;
+
+        if (field.type === 'repel') {
+            velocity.x += nx * force;
+            velocity.y += ny * force;
+        } else if (field.type === 'attract') {
+            velocity.x -= nx * force;
+            velocity.y -= ny * force;
+        } else if (field.type === 'vortex') {
+            velocity.x -= ny * force;
+            velocity.y += nx * force;
+        } else if (field.type === 'wake') {
+            const speed = Math.sqrt(pointer.vx * pointer.vx + pointer.vy * pointer.vy);
+            if (speed < 1) return;
+            const scale = force * Math.min(speed / field.speed, 1) / speed;
+            velocity.x += pointer.vx * scale;
+            velocity.y += pointer.vy * scale;
+        }
+    }
+
+    // Push a point outward where a ripple's ring passes `age` seconds after the press
+    function applyRipple(field, ripple, age, point, velocity) {
+        if (age >= field.duration) return;
+        const dx = point.x - ripple.x;
+        const dy = point.y - ripple.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        const offset = Math.abs(dist - age * field.speed);
+        if (offset >= field.radius || dist === 0) return;
+
+        const force = field.fade(offset / field.radius) * field.strength * (1 - age / field.duration);
+        velocity.x += dx / dist * force;
+        velocity.y += dy / dist * force;
+    }
+
+    // One 60Hz step of a point: move by its velocity, damp it, spring toward the target
+    function springStep(current, velocity, targetX, targetY, returnSpeed) {
+        current.x += velocity.x * 0.1;
+        current.y += velocity.y * 0.1;
+        velocity.x *= 0.9;
+        velocity.y *= 0.9;
+        current.x += (targetX - current.x) * returnSpeed;
+        current.y += (targetY - current.y) * returnSpeed;
+        current.z += (0 - current.z) * returnSpeed;
+    }
+
+    // Mean distance (x/y) of a line's first `count` points from their rest positions
+    function lineDisplacement(current, rest, count) {
+        let total = 0;
+        for (let j = 0; j < count; j++) {
+            total += Math.sqrt((current[j].x - rest[j].x) ** 2 + (current[j].y - rest[j].y) ** 2);
+        }
+        return count > 0 ? total / count : 0;
+    }
+
+    const RevealCore = {
+        SWAP_PRESETS, SWAP_EASINGS, SWAP_POSES, SWAP_MOTIONS, SWAP_DISPLACEMENTS, easeInOutCubic,
+        createRandom, hashSeed,
+        fitScale, scalePaths, fillTargets,
+        scatterPoint, revealPoint, revealOpacity, staggeredProgress,
+        resamplePath, padPath, describePath, planCorrespondence, alignPath, pairArtworks, planSwapPoses, displacedPose,
+        compileSwapPreset, swapPhaseAt, advanceSwap, swapPosition, swapOpacity, swapAccent,
+        fixedSteps, applyForce, applyRipple, springStep, lineDisplacement
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = RevealCore;
+    } else {
+        root.RevealCore = RevealCore;
+    }
+})(this);
@@ -3,18 +3,560 @@
  *
  * Logo assembles automatically on page load from scattered lines.
  * Click to morph: logo lines split into vertebra fragments, drift, reassemble.
+ * API, events and config: README.md.
  */
 
+// Hero color themes (config.theme; shape and --hero-* properties in README.md)
+const HERO_THEMES = {
+    dark: { background: '#0a0a0a', line: '#ffffff', accent: '#ffd700', energy: '#ffd700' },
+    light: { background: '#f4f1ea', line: '#161616', accent: '#a67c00', energy: '#a67c00' },
+    // Gold logo, bone-toned vertebra
+    atelier: {
+        background: '#0a0a0a', line: '#ffffff', accent: '#ffd700', energy: '#ffd700',
+        artworks: {
+            logo: { line: ['#f6e6a4', '#c9a227'] },
+            vertebra: { line: ['#f1e9d8', '#b5a48a'], gradientAlong: 'artwork' }
+        }
+    }
+};
+
+// Pointer force fields (config.forces, see README.md)
+const FORCE_FALLOFFS = {
+    linear: u => 1 - u,
+    smooth: u => 1 - u * u * (3 - 2 * u),
+    quadratic: u => (1 - u) * (1 - u),
+    constant: () => 1
+};
+const FORCE_DEFAULTS = {
+    repel: { falloff: 'linear' },
+    attract: { falloff: 'smooth', strength: 15 },
+    vortex: { falloff: 'smooth', strength: 20 },
+    wake: { falloff: 'smooth', strength: 30, speed: 1500 },
+    ripple: { falloff: 'smooth', radius: 40, strength: 25, speed: 600, duration: 1.2 }
+};
+
+// WCAG contrast ratio of two THREE.Colors (sRGB), from 1 (same) to 21 (black on white)
+function contrastRatio(a, b) {
+    const channel = v => v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    const luminance = c => 0.2126 * channel(c.r) + 0.7152 * channel(c.g) + 0.0722 * channel(c.b);
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+// Streaming GIF encoder for exportAnimation(): a local 255-color table per frame,
+// alpha < 128 → transparent index 0
+function createGifEncoder(width, height, { delay = 0.04, transparent = false } = {}) {
+    const parts = [];
+    const word = (bytes, value) => bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+    const ascii = (bytes, text) => { for (const char of text) bytes.push(char.charCodeAt(0)); };
+
+    // Header, logical screen (no global color table), loop forever
+    const header = [];
+    ascii(header, 'GIF89a');
+    word(header, width);
+    word(header, height);
+    header.push(0x70, 0, 0);
+    header.push(0x21, 0xFF, 11);
+    ascii(header, 'NETSCAPE2.0');
+    header.push(3, 1, 0, 0, 0);
+    parts.push(new Uint8Array(header));
+
+    const histogram = new Uint32Array(32768);
+    const nearest = new Int16Array(32768);
+    const firstColor = transparent ? 1 : 0;
+
+    return {
+        addFrame(rgba) {
+            // Palette: the most common colors at 5 bits per channel
+            histogram.fill(0);
+            for (let p = 0; p < rgba.length; p += 4) {
+                if (transparent && rgba[p + 3] < 128) continue;
+                histogram[((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3)]++;
+            }
+            const keys = [];
+            for (let key = 0; key < 32768; key++) if (histogram[key]) keys.push(key);
+            keys.sort((a, b) => histogram[b] - histogram[a]);
+            const palette = keys.slice(0, 256 - firstColor);
+            const table = new Uint8Array(768);
+            nearest.fill(-1);
+            palette.forEach((key, k) => {
+                const index = k + firstColor;
+                table[index * 3] = ((key >> 10) & 31) << 3 | 4;
+                table[index * 3 + 1] = ((key >> 5) & 31) << 3 | 4;
+                table[index * 3 + 2] = (key & 31) << 3 | 4;
+                nearest[key] = index;
+            });
+            const lookup = (key) => {
+                if (nearest[key] !== -1) return nearest[key];
+                const r = key >> 10, g = (key >> 5) & 31, b = key & 31;
+                let best = firstColor, bestDistance = Infinity;
+                palette.forEach((other, k) => {
+                    const dr = r - (other >> 10), dg = g - ((other >> 5) & 31), db = b - (other & 31);
+                    const distance = dr * dr + dg * dg + db * db;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        best = k + firstColor;
+                    }
+                });
+                nearest[key] = best;
+                return best;
+            };
+
+            const pixels = new Uint8Array(width * height);
+            for (let p = 0, n = 0; n < pixels.length; p += 4, n++) {
+                pixels[n] = transparent && rgba[p + 3] < 128
+                    ? 0
+                    : lookup(((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3));
+            }
+
+            // Graphic control, image descriptor, local color table
+            const frame = [0x21, 0xF9, 4, transparent ? (2 << 2) | 1 : 0];
+            word(frame, Math.round(delay * 100));
+            frame.push(0, 0, 0x2C);
+            word(frame, 0);
+            word(frame, 0);
+            word(frame, width);
+            word(frame, height);
+            frame.push(0x87);
+            parts.push(new Uint8Array(frame), table, lzwEncode(pixels, 8));
+        },
+
+        finish() {
+            parts.push(new Uint8Array([0x3B]));
+            return new Blob(parts, { type: 'image/gif' });
+        }
+    };
+}
+
+// GIF LZW: variable-width codes up to 12 bits, packed LSB first into ≤ 255-byte sub-blocks
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const codes = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    const bytes = [];
+    let buffer = 0, bits = 0;
+    const write = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            bytes.push(buffer & 0xFF);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+    // A data code; the decoder widens its codes once the table reaches the current width
+    const emit = (code) => {
+        write(code);
+        if (nextCode >= 1 << codeSize && codeSize < 12) codeSize++;
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let n = 1; n < indices.length; n++) {
+        const index = indices[n];
+        const key = prefix * 256 + index;
+        const code = codes.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        emit(prefix);
+        if (nextCode < 4096) {
+            codes.set(key, nextCode++);
+        } else {
+            // Table full: start over
+            write(clearCode);
+            codes.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    write(endCode);
+    if (bits > 0) bytes.push(buffer & 0xFF);
+
+    const out = new Uint8Array(1 + bytes.length + Math.ceil(bytes.length / 255) + 1);
+    let o = 0;
+    out[o++] = minCodeSize;
+    for (let start = 0; start < bytes.length; start += 255) {
+        const block = bytes.slice(start, start + 255);
+        out[o++] = block.length;
+        out.set(block, o);
+        o += block.length;
+    }
+    out[o] = 0;
+    return out;
+}
+
+// WebM muxer for exportAnimation(): VideoEncoder chunks at their own timestamps,
+// a cluster per keyframe
+function createWebmMuxer(width, height, { codec, fps, alpha = false }) {
+    const bytes = list => new Uint8Array(list);
+    // Sizes are always written as 8-byte vints: simple, and valid for any length
+    const element = (id, children) => {
+        let size = 0;
+        const parts = [];
+        for (const child of children) {
+            for (const part of child instanceof Uint8Array ? [child] : child.parts) {
+                parts.push(part);
+                size += part.length;
+            }
+        }
+        const head = [...id, 0x01];
+        for (let shift = 48; shift >= 0; shift -= 8) head.push(Math.floor(size / 2 ** shift) & 0xFF);
+        return { parts: [bytes(head), ...parts] };
+    };
+    const uint = (id, value) => {
+        const out = [];
+        do {
+            out.unshift(value & 0xFF);
+            value = Math.floor(value / 256);
+        } while (value > 0);
+        return element(id, [bytes(out)]);
+    };
+    const int16 = value => [(value >> 8) & 0xFF, value & 0xFF];
+    const float = (id, value) => {
+        const out = new Uint8Array(8);
+        new DataView(out.buffer).setFloat64(0, value);
+        return element(id, [out]);
+    };
+    const string = (id, text) => element(id, [bytes([...text].map(char => char.charCodeAt(0)))]);
+
+    const clusters = [];
+    let cluster = null;
+    let end = 0;
+
+    return {
+        // data: the chunk's bytes; timestamp and duration in microseconds
+        addChunk(data, timestamp, duration, key, alphaData = null) {
+            const time = Math.round(timestamp / 1000);
+            end = Math.max(end, Math.round((timestamp + duration) / 1000));
+            if (!cluster || key || time - cluster.time > 32000) {
+                cluster = { time, blocks: [uint([0xE7], time)] };
+                clusters.push(cluster);
+            }
+            const header = bytes([0x81, ...int16(time - cluster.time), key ? 0x80 : 0]);
+            if (!alphaData) {
+                cluster.blocks.push(element([0xA3], [header, data]));
+                return;
+            }
+            const group = [
+                element([0xA1], [bytes([0x81, ...int16(time - cluster.time), 0]), data]),
+                element([0x75, 0xA1], [element([0xA6], [uint([0xEE], 1), element([0xA5], [alphaData])])])
+            ];
+            // Non-key frames reference the frame before
+            if (!key) group.push(element([0xFB], [bytes(int16(-Math.max(1, Math.round(1000 / fps))))]));
+            cluster.blocks.push(element([0xA0], group));
+        },
+
+        finish() {
+            const video = [uint([0xB0], width), uint([0xBA], height)];
+            if (alpha) video.push(uint([0x53, 0xC0], 1));
+            const file = [
+                element([0x1A, 0x45, 0xDF, 0xA3], [
+                    uint([0x42, 0x86], 1), uint([0x42, 0xF7], 1), uint([0x42, 0xF2], 4), uint([0x42, 0xF3], 8),
+                    string([0x42, 0x82], 'webm'), uint([0x42, 0x87], 4), uint([0x42, 0x85], 2)
+                ]),
+                element([0x18, 0x53, 0x80, 0x67], [
+                    element([0x15, 0x49, 0xA9, 0x66], [
+                        uint([0x2A, 0xD7, 0xB1], 1e6),
+                        float([0x44, 0x89], end),
+                        string([0x4D, 0x80], 'ABALLE'),
+                        string([0x57, 0x41], 'ABALLE')
+                    ]),
+                    element([0x16, 0x54, 0xAE, 0x6B], [
+                        element([0xAE], [
+                            uint([0xD7], 1), uint([0x73, 0xC5], 1), uint([0x83], 1), uint([0x9C], 0),
+                            string([0x86], codec),
+                            uint([0x23, 0xE3, 0x83], Math.round(1e9 / fps)),
+                            element([0xE0], video)
+                        ])
+                    ]),
+                    ...clusters.map(({ blocks }) => element([0x1F, 0x43, 0xB6, 0x75], blocks))
+                ])
+            ];
+            return new Blob(file.flatMap(part => part.parts), { type: 'video/webm' });
+        }
+    };
+}
+
+// First VP9 / VP8 config the browser's VideoEncoder supports (null: no WebCodecs)
+async function findWebmConfig(width, height, fps, alpha) {
+    if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') return null;
+    for (const keep of alpha ? [true, false] : [false]) {
+        for (const [codec, id] of [['vp09.00.10.08', 'V_VP9'], ['vp8', 'V_VP8']]) {
+            const encoder = { codec, width, height, bitrate: 8e6, framerate: fps, alpha: keep ? 'keep' : 'discard' };
+            try {
+                if ((await VideoEncoder.isConfigSupported(encoder)).supported) return { id, encoder, alpha: keep };
+            } catch (error) {
+                // Malformed for this browser: try the next
+            }
+        }
+    }
+    return null;
+}
+
+// Line batch shaders: each instance is the segment from point k to k + 1, as a
+// screen-space quad. With config.gpuAnimation they also run the swap and repel.
+// Keep the swap math in sync with RevealCore.swapPosition() / swapOpacity().
+const LINE_VERTEX_SHADER = `
+    #define SWAP_PI 3.141592653589793
+
+    // position is the quad corner: x = 0 (segment start) or 1 (end), y = side (-1 or 1)
+    attribute vec3 pointA;
+    attribute vec3 pointB;
+    attribute vec4 lineColor;       // rgb + alpha
+    attribute float lineWidth;      // CSS px, 0 = hairline
+    attribute vec4 lineDash;        // dash, gap, dash, gap (SVG units), all 0 = solid
+    attribute float lineDistanceA;  // SVG units along the path at rest, plus the dash offset
+    attribute float lineDistanceB;
+    attribute vec3 swapStartA;
+    attribute vec3 swapStartB;
+    attribute vec3 swapShatteredA;
+    attribute vec3 swapShatteredB;
+    attribute vec3 swapTargetA;
+    attribute vec3 swapTargetB;
+    attribute vec4 swapLine;        // split offset xy, wasOld, isNew
+    attribute vec2 linePoint;       // line index, point index (of point A)
+
+    uniform float uSwapping;
+    uniform vec4 uSwapPhase;        // phase-local t, from pose, to pose, motion (see RevealCore.SWAP_PRESETS)
+    uniform float uSwapEasing;      // RevealCore.SWAP_EASINGS id
+    uniform vec2 uSwapAccent;       // accent mix at the start / end of the phase
+    uniform vec2 uSwapOpacity;      // opacity at the start / end of the phase
+    uniform vec2 uSwapEdge;         // 1 when this is the first / last phase
+    uniform float uIsSplit;
+    uniform float uDriftAmount;
+    uniform vec3 uAccentColor;
+    uniform vec2 uPointer;
+    uniform float uRepelRadius;
+    uniform float uRepelPush;       // 0 = no repel
+    uniform float uPulse;
+    uniform float uDepth;           // parallax depth: world units from the first path to the last
+    uniform float uDepthLines;      // paths the depth is spread over
+    uniform float uIdleDrift;       // idle 'drift': world units, 0 = off
+    uniform float uIdleDriftScale;
+    uniform float uIdleDriftTime;
+    uniform vec2 uResolution;       // drawing buffer, device px
+    uniform float uPixelRatio;
+    uniform float uPointsPerLine;
+
+    varying vec3 vColor;
+    varying float vAlpha;
+    varying float vAcross;          // device px from the center line
+    varying float vHalfWidth;
+    varying float vDistance;
+    varying vec4 vDash;
+
+    float swapEase(float id, float t) {
+        if (id < 0.5) return t;
+        if (id < 1.5) return t * t;
+        if (id < 2.5) return 1.0 - (1.0 - t) * (1.0 - t);
+        if (id < 3.5) return t < 0.5 ? 2.0 * t * t : 1.0 - pow(-2.0 * t + 2.0, 2.0) / 2.0;
+        if (id < 4.5) return t * t * t;
+        if (id < 5.5) return 1.0 - pow(1.0 - t, 3.0);
+        if (id < 6.5) return t < 0.5 ? 4.0 * t * t * t : 1.0 - pow(-2.0 * t + 2.0, 3.0) / 2.0;
+        if (id < 7.5) return -(cos(SWAP_PI * t) - 1.0) / 2.0;
+        float u = t - 1.0;
+        return 1.0 + 2.70158 * u * u * u + 1.70158 * u * u;
+    }
+
+    vec3 swapPose(float pose, vec3 start, vec3 displaced, vec3 target) {
+        if (pose < 0.5) return start;
+        if (pose < 1.5) return displaced;
+        return target;
+    }
+
+    vec3 swapPosition(vec3 start, vec3 displaced, vec3 target, vec2 lp) {
+        float t = uSwapPhase.x;
+        float motion = uSwapPhase.w;
+        vec3 from = swapPose(uSwapPhase.y, start, displaced, target);
+        vec3 to = swapPose(uSwapPhase.z, start, displaced, target);
+        float e = swapEase(uSwapEasing, t);
+        if (t >= 1.0) return to;
+
+        if (motion > 0.5 && motion < 1.5) {
+            // Split: the parent line is on the start side of a split, the target side of a merge
+            if (uIsSplit > 0.5 && uSwapPhase.y < 0.5) {
+                float splitEase = swapEase(uSwapEasing, min(t / 0.5, 1.0));
+                float driftEase = swapEase(uSwapEasing, max(0.0, (t - 0.3) / 0.7));
+                vec3 split = from + vec3(swapLine.xy * splitEase, 0.0);
+                return mix(split, to, driftEase);
+            }
+            if (uIsSplit < 0.5 && uSwapPhase.z > 1.5) {
+                vec2 merged = to.xy + swapLine.xy * (1.0 - e);
+                return vec3(mix(from.xy, merged, e), mix(from.z, to.z, e));
+            }
+        } else if (motion > 1.5 && motion < 2.5) {
+            // Spiral: radius and angle about the center interpolate, plus one full turn
+            float a0 = atan(from.y, from.x);
+            float da = atan(to.y, to.x) - a0;
+            da -= 2.0 * SWAP_PI * floor((da + SWAP_PI) / (2.0 * SWAP_PI));
+            float a = a0 + (da + 2.0 * SWAP_PI) * e;
+            float r = mix(length(from.xy), length(to.xy), e);
+            return vec3(cos(a) * r, sin(a) * r, mix(from.z, to.z, e));
+        } else if (motion > 2.5) {
+            // Drift: slow breathing, zero at both ends of the phase
+            float envelope = sin(t * SWAP_PI);
+            float breathe = sin(t * SWAP_PI * 2.0) * uDriftAmount * envelope;
+            float sway = cos(t * SWAP_PI * 1.5) * uDriftAmount * 0.5 * envelope;
+            return mix(from, to, e) + vec3(
+                sin(lp.x * 0.37 + lp.y * 0.13) * breathe,
+                cos(lp.x * 0.29 + lp.y * 0.17) * sway,
+                envelope * 5.0
+            );
+        }
+        return mix(from, to, e);
+    }
+
+    float swapOpacity() {
+        float t = uSwapPhase.x;
+        float wasOld = swapLine.z;
+        float isNew = swapLine.w;
+        if (wasOld < 0.5 && isNew < 0.5) return 0.0;
+        if (wasOld < 0.5 && uSwapEdge.x > 0.5) return t * uSwapOpacity.y;
+        if (isNew < 0.5 && uSwapEdge.y > 0.5) return uSwapOpacity.x * (1.0 - max(0.0, (t - 0.4) / 0.6));
+        return mix(uSwapOpacity.x, uSwapOpacity.y, t);
+    }
+
+    // Idle drift noise field, -1..1 per axis (mirrors driftField())
+    vec2 driftField(vec2 p) {
+        float s = uIdleDriftScale;
+        float t = uIdleDriftTime;
+        return vec2(
+            sin(p.x * s + t * 0.7) * cos(p.y * s * 1.3 - t * 0.5),
+            sin(p.y * s + t * 0.6 + 1.7) * cos(p.x * s * 1.1 + t * 0.4)
+        );
+    }
+
+    // Line's offset toward the camera (mirrors lineDepth()): later paths sit in front
+    float lineDepth(float line) {
+        return uDepth * (line / max(uDepthLines - 1.0, 1.0) - 0.5);
+    }
+
+    // Rest position with pulse, idle drift and pointer repel; disp is how far it was pushed
+    vec3 restPosition(vec3 point, out float disp) {
+        vec3 pos = vec3(point.xy * (1.0 + uPulse) + driftField(point.xy) * uIdleDrift, point.z);
+        disp = 0.0;
+        vec2 d = pos.xy - uPointer;
+        float dist = length(d);
+        if (uRepelPush > 0.0 && dist < uRepelRadius && dist > 0.0) {
+            // Push toward the edge of the repel radius
+            disp = (uRepelRadius - dist) * uRepelPush;
+            pos.xy += d / dist * disp;
+        }
+        return pos;
+    }
+
+    void main() {
+        // The last point of a line does not connect to the next line's first point
+        if (linePoint.y > uPointsPerLine - 1.5) {
+            gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+            return;
+        }
+
+        vec3 a;
+        vec3 b;
+        if (uSwapping > 0.5) {
+            a = swapPosition(swapStartA, swapShatteredA, swapTargetA, linePoint);
+            b = swapPosition(swapStartB, swapShatteredB, swapTargetB, linePoint + vec2(0.0, 1.0));
+            vColor = mix(lineColor.rgb, uAccentColor, mix(uSwapAccent.x, uSwapAccent.y, uSwapPhase.x));
+            vAlpha = swapOpacity();
+        } else {
+            float disp;
+            float dispB;
+            a = restPosition(pointA, disp);
+            b = restPosition(pointB, dispB);
+            float colorMix = min(disp / 20.0, 1.0);
+            vColor = mix(lineColor.rgb, uAccentColor, colorMix);
+            vAlpha = lineColor.a > 0.0 ? lineColor.a + colorMix * 0.2 : 0.0;
+        }
+        float depth = lineDepth(linePoint.x);
+        a.z += depth;
+        b.z += depth;
+
+        vec4 clipA = projectionMatrix * modelViewMatrix * vec4(a, 1.0);
+        vec4 clipB = projectionMatrix * modelViewMatrix * vec4(b, 1.0);
+        vec2 halfResolution = uResolution * 0.5;
+        vec2 dir = (clipB.xy / clipB.w - clipA.xy / clipA.w) * halfResolution;
+        float len = length(dir);
+        dir = len > 0.0 ? dir / len : vec2(1.0, 0.0);
+        vec2 normal = vec2(-dir.y, dir.x);
+
+        // Never thinner than one device pixel; one extra pixel per side for the AA ramp
+        vHalfWidth = max(lineWidth * uPixelRatio, 1.0) * 0.5;
+        vAcross = position.y * (vHalfWidth + 1.0);
+
+        vDistance = position.x < 0.5 ? lineDistanceA : lineDistanceB;
+        vDash = lineDash;
+
+        vec4 clip = position.x < 0.5 ? clipA : clipB;
+        clip.xy += normal * vAcross / halfResolution * clip.w;
+        gl_Position = clip;
+    }
+`;
+
+const LINE_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    varying float vAcross;
+    varying float vHalfWidth;
+    varying float vDistance;
+    varying vec4 vDash;
+    void main() {
+        // stroke-dasharray: drop the gaps
+        float period = vDash.x + vDash.y + vDash.z + vDash.w;
+        if (period > 0.0) {
+            float d = mod(vDistance, period);
+            if ((d >= vDash.x && d < vDash.x + vDash.y) || d >= period - vDash.w) discard;
+        }
+        float coverage = clamp(vHalfWidth + 0.5 - abs(vAcross), 0.0, 1.0);
+        gl_FragColor = vec4(vColor, vAlpha * coverage);
+    }
+`;
+
 class AballeRevealArt {
-    constructor() {
-        this.container = document.getElementById('canvas-container');
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+    constructor(config = {}, env = {}) {
+        // The page by default; see "Headless" in README.md for what can be injected
+        this.container = env.container || document.getElementById('canvas-container');
+        this.clock = env.clock || {
+            now: () => performance.now(),
+            requestFrame: fn => requestAnimationFrame(fn),
+            cancelFrame: id => cancelAnimationFrame(id)
+        };
+        this.fetchResource = env.fetch || (url => fetch(url));
+        this.injectedRenderer = env.renderer || null;
+        this.interactive = env.interactive !== false;
+
+        // Sized to the container; the page's may not be laid out yet
+        const fallback = env.container ? { innerWidth: 1, innerHeight: 1 } : window;
+        this.width = this.container.clientWidth || fallback.innerWidth;
+        this.height = this.container.clientHeight || fallback.innerHeight;
+        this.resizeObserver = null;
+        this.resizeTimer = null;
+        this.exportState = null;        // { transparent } while exportAnimation() runs
 
         // Interaction state
         this.mouse = new THREE.Vector2(9999, 9999);
-        this.mouseWorld = new THREE.Vector3(9999, 9999, 0);
+        this.mouseWorld = new THREE.Vector3(9999, 9999, 0);     // first pointer (energy lines, GPU repel)
         this.isInteracting = false;
+        this.pointers = new Map();      // id ('mouse' or touch identifier) → { x, y, vx, vy, time } in world units
+        this.ripples = [];              // { x, y, time } of recent presses
+        this.lastTouchTime = -Infinity;
+        this.pointerClient = { x: 0, y: 0 };   // first pointer in viewport px, for hit-testing
+
+        // Screen → art plane mapping and hit-testing (clientToWorld, hitTest)
+        this.raycaster = new THREE.Raycaster();
+        this.artPlane = new THREE.Plane();
+        this.pointerNdc = new THREE.Vector2();
+        this.hitMatrix = new THREE.Matrix4();
+        this.hitPoint = new THREE.Vector3();
+        this.hoverLine = -1;            // line (= path of the current artwork) under the pointer
+        this.hoverDirty = false;        // pointer moved since the last hit test
+        this.forceFields = [];          // config.forces, compiled
 
         // Auto-reveal state (replaces scroll-based reveal)
         this.autoRevealProgress = 0;
@@ -28,17 +570,27 @@ class AballeRevealArt {
         this.isSwapping = false;
         this.swapProgress = 1;
         this.swapToPositions = [];
-
-        // Both artwork datasets (pre-loaded)
+        this.swapPoseArtworks = null;   // { from, to } whose scales the swap poses were built at
+        this.swapId = 0;                // bumped by every morph, so stale swap data can be detected
+        this.swapDriver = 'time';       // 'time' | 'scroll' (progress set by updateScrollMorph)
+        this.swapDirection = 1;         // -1 once reverseSwap() turned it back
+        this.swapVelocity = 1;          // eases toward swapDirection, so turning back isn't a jolt
+        this.swapHandoff = null;        // per-line { opacity, accentMix } a retargeted swap blends from
+        this.scrollSwap = null;         // { from, to, id } of the last scroll-driven morph
+        this.scrollMorphProgress = null;    // scrollProgress() last frame; a new scroll morph waits for it to change
+
+        // Artwork registry; artworkOrder is registration order (click cycles through it)
         // rawPaths stores unscaled data, svgPaths stores scaled positions
-        this.artworks = {
-            logo: { svgPaths: [], rawPaths: [], file: 'logo.svg', svgWidth: 0, svgHeight: 0 },
-            vertebra: { svgPaths: [], rawPaths: [], file: 'vertebra.svg', svgWidth: 0, svgHeight: 0 }
-        };
+        this.artworks = {};
+        this.artworkOrder = [];
 
         // Scattered positions for initial reveal only
         this.scatteredPositions = [];
 
+        // Per-line start delays (0→1, see computeLineDelays); null = lockstep
+        this.revealDelays = null;
+        this.swapDelays = null;
+
         // Max lines we'll ever need (determined after loading both SVGs)
         this.maxLineCount = 0;
 
@@ -47,23 +599,98 @@ class AballeRevealArt {
             maxLines: 0,                // 0 = no limit, use all paths from SVG
             repelRadius: 100,           // Mouse repel effect radius
             repelStrength: 40,          // Mouse repel effect strength
+            forces: [{ type: 'repel' }], // Pointer force fields (see README.md)
+            parallax: false,            // false | 'pointer' | 'orientation' | 'auto' (cursor, else tilt sensor)
+            parallaxAngle: 6,           // Max degrees the artwork tilts
+            parallaxSmoothing: 4,       // Higher follows the cursor / sensor more tightly
+            parallaxDepth: 0,           // World units the paths are layered over, back to front (0 = flat)
+            idleModes: [],              // Any of 'drift' | 'glow' | 'tilt' | 'morph', after idleDelay without input
+            idleDelay: 4,               // Seconds without input before idle modes start
+            idleDriftAmount: 8,         // 'drift': world units the lines wander through a noise field
+            idleDriftScale: 0.006,      // 'drift': noise frequency across the artwork
+            idleDriftSpeed: 0.4,        // 'drift': how fast the field changes
+            idleGlowSpeed: 0.2,         // 'glow': stroke lengths per second a highlight travels
+            idleGlowLength: 0.2,        // 'glow': share of each stroke that is lit
+            idleTiltAngle: 8,           // 'tilt': degrees the artwork sways in 3D
+            idleTiltPeriod: 16,         // 'tilt': seconds per sway
+            idleMorphInterval: 20,      // 'morph': seconds idle between automatic swaps
+            hoverHighlight: 0,          // Accent mix for the path under the pointer, 0 = no hover effect
+            hitTolerance: 8,            // CSS px around a stroke that still counts as on it
             returnSpeed: 0.04,
-            baseColor: new THREE.Color(0xffffff),
-            accentColor: new THREE.Color(0xffd700),
-            backgroundColor: 0x0a0a0a,
+            theme: 'auto',              // 'auto' (CSS --hero-* + prefers-color-scheme) | HERO_THEMES name | theme object
+            themeTransition: 0.8,       // Seconds to tween between themes
+            baseColor: null,            // Color overrides on top of the theme (null = theme's)
+            accentColor: null,
+            backgroundColor: null,
+            energyColor: null,
             pulseEnabled: true,         // Subtle breathing effect
             pulseSpeed: 0.8,
             pulseAmount: 0.015,
             energyLineCount: 4,
             energyLineOpacity: 0.5,
             swapDuration: 4.0,          // Total transition time
+            swapPreset: 'shatter',      // Choreography used by clicks and swapArtwork() (RevealCore.SWAP_PRESETS)
+            swapInterrupt: 'reverse',   // Click mid-swap: 'reverse' | 'retarget' (on to the next artwork) | false
+            scrollMorph: false,         // Drive a swap from scrolling past the hero instead of time
+            scrollMorphTo: null,        // Artwork it morphs into (null = the next one)
+            scrollMorphPreset: null,    // Its choreography (null = swapPreset)
+            scrollMorphRange: [0, 0.8], // Hero heights scrolled at the start / end of the morph
+            seed: null,                 // null = Math.random; any number or string repeats the choreography
+            random: null,               // or a () => 0..1 function to draw from instead (e.g. a test's PRNG)
             scatterRadius: 600,
             disassembleDistance: 120,    // How far pieces drift apart
             disassembleDrift: 15,       // Subtle floating drift during hang
-            splitDistance: 30           // How far children fan out during split
+            splitDistance: 30,          // How far children fan out during split
+            stagger: 'none',            // 'none' | 'focus' | 'index' | 'sweep' — per-line start order
+            staggerFocus: 'pointer',    // 'pointer' (cursor, or the click) | 'center' — where 'focus' starts
+            staggerAmount: 0.4,         // Share of the reveal/swap over which line starts are spread
+            gpuAnimation: false,        // Evaluate swap morph + repel in the vertex shader
+            shaderRepelPush: 0.8,       // GPU repel: fraction of the way pushed to the radius edge
+            reducedMotion: 'auto',      // true | false | 'auto' (follow prefers-reduced-motion)
+            crossfadeDuration: 0.6,     // Reduced-motion swap: fade out, switch, fade in
+            resizeDebounce: 150,        // ms after the container stops resizing before the artwork rescales
+            pauseWhenHidden: true,      // Stop rendering when the hero is off screen or the tab is hidden
+            lowPower: 'auto',           // true | false | 'auto' (battery discharging below 20%)
+            lowPowerFps: 30,
+            lowPowerPixelRatio: 1,
+            lineWidth: 'hairline',      // 'hairline' (1 device pixel) | CSS px | 'source' (SVG stroke-width and dashes)
+            lineWidthScale: 1,          // Multiplier for 'source' widths (never thinner than a hairline)
+            lineColors: 'theme',        // 'theme' (theme line color/gradient) | 'source' (SVG stroke, or fill if unstroked)
+            fills: false,               // Also draw the SVG's filled shapes, faded in while at rest
+            fillOpacity: 0.35
         };
 
+        // Clock: real frame time in seconds, physics advances in fixed steps
         this.time = 0;
+        this.lastFrameTime = null;      // clock.now() of the previous frame
+        this.maxFrameDelta = 0.1;       // clamp hitches (tab switch, debugger) to 100ms
+        this.physicsStep = 1 / 60;      // damping/returnSpeed are tuned per 60Hz step
+        this.physicsAccumulator = 0;
+
+        // GPU animation state (config.gpuAnimation)
+        this.swapOnGpu = false;         // decided per swap, when it starts
+        this.gpuRestDirty = true;       // rest positions need re-uploading before GPU repel
+        this.shaderPointer = new THREE.Vector2(9999, 9999);
+        this.shaderRepelAmount = 0;
+
+        // Idle modes (config.idleModes): faded in after idleDelay, out on any input
+        this.lastInputTime = 0;
+        this.idleAmount = 0;
+        this.idleDrift = 0;             // 'drift' world units this frame
+        this.idleGlow = 0;              // 'glow' strength this frame
+        this.idleTilt = new THREE.Euler();
+        this.lastIdleMorph = 0;
+        this.driftOffset = { x: 0, y: 0 };
+
+        // Parallax (config.parallax): -1..1 per axis, x turns around y and y around x
+        this.parallax = new THREE.Vector2();
+        this.parallaxTarget = new THREE.Vector2();
+        this.orientationTilt = new THREE.Vector2();
+        this.orientationRest = null;            // how the phone is held, followed slowly
+        this.orientationPermission = 'prompt';  // 'prompt' | 'pending' | 'granted' | 'denied'
+        this.orientationListening = false;
+        this.depthAmount = 0;                   // parallaxDepth eased in at rest
+        this.depth = 0;                         // world units applied this frame
 
         // Line rendering data — pre-allocated for maxLineCount
         this.lines = [];
@@ -74,32 +701,122 @@ class AballeRevealArt {
         this.artGroup = new THREE.Group();
         this.energyLines = [];
 
-        this.init();
-    }
-
-    async init() {
+        // Filled shapes of the current artwork (config.fills)
+        this.fillMesh = null;
+        this.fillAmount = 0;            // 0→1 fade, only while the lines are at rest
+        this.fillFadeDuration = 0.6;
+
+        // Lifecycle
+        this.listeners = [];            // { target, type, handler, options } — removed by destroy()
+        this.frameId = null;
+        this.paused = false;            // paused by the API
+        this.suspended = false;         // paused because nobody can see the hero
+        this.heroVisible = true;
+        this.batteryLow = false;
+        this.reducedMotionQuery = this.mediaQuery('(prefers-reduced-motion: reduce)');
+        this.colorSchemeQuery = this.mediaQuery('(prefers-color-scheme: light)');
+        this.swapStyle = 'morph';       // 'morph' | 'fade' (reduced motion)
+        this.ambientPaused = false;     // pulse + energy lines stopped by the user
+        this.isReady = false;
+        this.destroyed = false;
+        this.swapPhase = null;
+
+        // Swap choreography: presets compiled to timelines, the running one and where it is
+        this.swapPresets = {};
+        for (const [name, preset] of Object.entries(RevealCore.SWAP_PRESETS)) this.registerSwapPreset(name, preset);
+        this.swapTimeline = null;
+        this.swapState = null;          // { phase, index, t } for this frame
+
+        // Colors: the palette on screen (see compileTheme), tweening toward a new theme
+        this.palette = null;
+        this.themeTween = null;         // { from, to, t }
+        this.styleVersion = 0;          // bumped when line colors need re-syncing
+        this.scratchColor = new THREE.Color();
+
+        // Random streams (see seedRandom)
+        this.rng = null;
+
+        // ?seed=… in the page URL pins the choreography unless the caller chose a seed
+        const urlSeed = typeof location !== 'undefined' ? new URLSearchParams(location.search).get('seed') : null;
+        this.setConfig(urlSeed !== null && !('seed' in config) ? { ...config, seed: urlSeed } : config);
+        if (!this.rng) this.seedRandom();
+        if (!this.forceFields.length) this.forceFields = this.compileForces(this.config.forces);
+
+        // Synchronous so a failing WebGL context throws to the caller (see bootstrap below)
         this.setupScene();
         this.setupCamera();
         this.setupRenderer();
 
-        // Load both SVGs in parallel
-        await Promise.all([
-            this.loadSVG('logo'),
-            this.loadSVG('vertebra')
-        ]);
+        // Built-in artworks (loading starts immediately)
+        this.registerArtwork('logo', {
+            file: 'logo.svg', baked: 'logo.art.json', fit: 'width', padding: 10, label: 'ABALLE logo'
+        });
+        this.registerArtwork('vertebra', {
+            file: 'vertebra.svg', baked: 'vertebra.art.json', fit: 'contain', padding: { x: 10, y: 20 }, label: 'Vertebra'
+        });
 
-        // Determine max line count across both artworks
-        this.maxLineCount = Math.max(
-            this.artworks.logo.svgPaths.length,
-            this.artworks.vertebra.svgPaths.length
-        );
+        this.ready = this.init();
+    }
+
+    // WebGL feature detection, without creating a renderer
+    static isWebGLAvailable() {
+        try {
+            const canvas = document.createElement('canvas');
+            return Boolean(window.WebGLRenderingContext &&
+                (canvas.getContext('webgl2') || canvas.getContext('webgl') || canvas.getContext('experimental-webgl')));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    async init() {
+        // Wait for every artwork registered so far (they load in parallel)
+        await Promise.all(this.artworkOrder.map(key => this.artworks[key].ready));
+        if (this.destroyed) return;
+
+        // Per-artwork CSS palettes can only be read once the artworks are registered
+        this.applyTheme(false);
+
+        // Determine max line count across all loaded artworks
+        this.maxLineCount = this.getLineCapacity().lines;
 
         // Pre-allocate ALL lines with the max point count per line
         this.preallocateLines();
 
-        // Set initial artwork to logo
-        this.setArtworkTargets('logo');
+        this.createEnergyLines();
+        if (this.interactive) this.setupEventListeners();
+        this.isReady = true;
+
+        this.startReveal();
+        this.updateLoop();
+    }
+
+    // Scatter the current artwork and (re)start the timed assembly
+    startReveal() {
+        this.setArtworkTargets(this.currentArtwork);
+        this.applyLineStyles(this.currentArtwork);
+
+        if (this.isReducedMotion()) {
+            // No scatter: show the assembled artwork right away
+            for (let i = 0; i < this.maxLineCount; i++) {
+                for (let j = 0; j < this.maxPointsPerLine; j++) {
+                    this.currentPositions[i][j].copy(this.originalPositions[i][j]);
+                    this.velocities[i][j].set(0, 0, 0);
+                }
+                this.updateLineGeometry(i);
+                this.lines[i].opacity = this.lines[i].visible ? 0.8 : 0;
+                this.lines[i].accentMix = 0;
+            }
+            this.autoRevealProgress = 1;
+            this.autoRevealComplete = true;
+            this.emit('revealstart');
+            this.emit('revealcomplete');
+            return;
+        }
+
         this.generateScatteredPositions();
+        this.revealDelays = this.computeLineDelays(
+            this.originalPositions, this.artworks[this.currentArtwork].svgPaths.length, this.staggerFocus());
 
         // Start at scattered positions (only for visible/active lines)
         for (let i = 0; i < this.maxLineCount; i++) {
@@ -110,18 +827,121 @@ class AballeRevealArt {
                     }
                 }
             }
+            for (const v of this.velocities[i]) v.set(0, 0, 0);
+            this.updateLineGeometry(i);
             // All lines start at opacity 0
-            this.lines[i].material.opacity = 0;
+            this.lines[i].opacity = 0;
+            this.lines[i].accentMix = 0;
         }
 
-        this.createEnergyLines();
-        this.setupEventListeners();
-        this.animate();
+        this.autoRevealTime = 0;
+        this.autoRevealProgress = 0;
+        this.autoRevealComplete = false;
+        this.emit('revealstart');
+    }
+
+    // ---- Public API ----
+
+    play() {
+        this.paused = false;
+        this.updateLoop();
+    }
+
+    pause() {
+        this.paused = true;
+        this.updateLoop();
+    }
+
+    replayReveal() {
+        if (!this.isReady || this.destroyed) return;
+        this.isSwapping = false;
+        this.swapProgress = 1;
+        this.swapPhase = null;
+        this.swapDriver = 'time';
+        this.startReveal();
+    }
+
+    // Merge config values; colors accept anything THREE.Color does (hex number, CSS string), or null
+    setConfig(values = {}) {
+        if (this.destroyed) return;
+        const colorKeys = ['baseColor', 'accentColor', 'backgroundColor', 'energyColor'];
+        for (const [key, value] of Object.entries(values)) {
+            if (colorKeys.includes(key)) {
+                this.config[key] = value === null ? null : new THREE.Color(value);
+            } else {
+                this.config[key] = value;
+            }
+        }
+
+        if ('seed' in values || 'random' in values) this.seedRandom();
+        if (['forces', 'repelRadius', 'repelStrength'].some(key => key in values)) {
+            this.forceFields = this.compileForces(this.config.forces);
+        }
+        if (!this.palette || 'theme' in values || colorKeys.some(key => key in values)) {
+            this.applyTheme(this.frameId !== null);
+        }
+        if (this.isReady && 'energyLineCount' in values) {
+            this.disposeEnergyLines();
+            this.createEnergyLines();
+            if (this.isInteracting) this.activateEnergyLines();
+        }
+        if (this.renderer && ('lowPower' in values || 'lowPowerPixelRatio' in values)) {
+            this.applyPixelRatio();
+        }
+        const styleKeys = ['lineColors', 'lineWidth', 'lineWidthScale'];
+        if (this.isReady && !this.isSwapping && styleKeys.some(key => key in values)) {
+            this.applyLineStyles(this.currentArtwork);
+            if (this.fillMesh && this.fillAmount > 0) this.buildFills(this.currentArtwork);
+        }
+        if ('pauseWhenHidden' in values) this.updateLoop();
+        if (this.isReady && 'parallax' in values) this.setupOrientation();
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.updateLoop();
+        if (this.intersectionObserver) this.intersectionObserver.disconnect();
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        clearTimeout(this.resizeTimer);
+
+        for (const { target, type, handler, options } of this.listeners) {
+            target.removeEventListener(type, handler, options);
+        }
+        this.listeners = [];
+
+        if (this.lineBatch) {
+            this.lineBatch.geometry.dispose();
+            this.lineBatch.material.dispose();
+        }
+        this.disposeFills();
+        this.disposeEnergyLines();
+        this.lines = [];
+
+        if (this.a11y) this.a11y.destroy();
+        if (this.motionToggle) this.motionToggle.remove();
+
+        this.renderer.dispose();
+        if (this.interactive) this.renderer.domElement.remove();
+    }
+
+    on(type, handler) {
+        this.container.addEventListener(type, handler);
+        return this;
+    }
+
+    off(type, handler) {
+        this.container.removeEventListener(type, handler);
+        return this;
+    }
+
+    emit(type, detail = {}) {
+        this.container.dispatchEvent(new CustomEvent(type, { detail }));
     }
 
     setupScene() {
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(this.config.backgroundColor);
+        this.scene.background = this.palette.background;
         this.scene.add(this.artGroup);
     }
 
@@ -131,159 +951,614 @@ class AballeRevealArt {
     }
 
     setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.renderer = this.injectedRenderer || new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        this.applyPixelRatio();
+        if (this.interactive) this.container.appendChild(this.renderer.domElement);
+    }
+
+    // Click / Enter / Space on the art (only after auto-reveal is complete)
+    activate(origin = null) {
+        if (this.exportState) return;
+        this.noteInput();
+        if (!this.autoRevealComplete) return;
+        if (this.isSwapping) {
+            this.interruptSwap(origin);
+        } else {
+            this.swapArtwork(this.config.swapPreset, origin);
+        }
+    }
+
+    // ---- Motion and power ----
+
+    // Pause/resume the ambient pulse and energy lines (a11y: motion must be stoppable)
+    setAmbientMotion(enabled) {
+        this.ambientPaused = !enabled;
+        if (this.ambientPaused) this.deactivateEnergyLines();
+        if (this.motionToggle) {
+            this.motionToggle.setAttribute('aria-pressed', String(this.ambientPaused));
+            this.motionToggle.textContent = this.ambientPaused ? 'Play motion' : 'Pause motion';
+        }
+    }
+
+    setupMotionToggle() {
+        this.motionToggle = document.createElement('button');
+        this.motionToggle.type = 'button';
+        this.motionToggle.className = 'hero__motion-toggle';
+        this.container.appendChild(this.motionToggle);
+        this.listen(this.motionToggle, 'click', () => this.setAmbientMotion(this.ambientPaused));
+        this.setAmbientMotion(!this.ambientPaused);
+    }
+
+    isPulseActive() {
+        return this.config.pulseEnabled && !this.ambientPaused && !this.isReducedMotion();
+    }
+
+    // matchMedia, or a query that never matches where there is none (headless)
+    mediaQuery(query) {
+        return typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(query) : { matches: false };
+    }
+
+    isReducedMotion() {
+        const setting = this.config.reducedMotion;
+        return setting === 'auto' ? this.reducedMotionQuery.matches : Boolean(setting);
+    }
+
+    isLowPower() {
+        const setting = this.config.lowPower;
+        return setting === 'auto' ? this.batteryLow : Boolean(setting);
+    }
+
+    // Start or stop the render loop from the pause/suspend/visibility state
+    updateLoop() {
+        const hidden = typeof document !== 'undefined' && document.hidden;
+        this.suspended = this.config.pauseWhenHidden && (!this.heroVisible || hidden);
+        const shouldRun = this.isReady && !this.destroyed && !this.paused && !this.suspended;
+
+        if (shouldRun && this.frameId === null) {
+            this.animate();
+        } else if (!shouldRun && this.frameId !== null) {
+            this.clock.cancelFrame(this.frameId);
+            this.frameId = null;
+            this.lastFrameTime = null;
+        }
+    }
+
+    applyPixelRatio() {
+        const maxRatio = this.isLowPower() ? this.config.lowPowerPixelRatio : 2;
+        const deviceRatio = typeof window !== 'undefined' ? window.devicePixelRatio || 1 : 1;
+        this.renderer.setPixelRatio(Math.min(deviceRatio, maxRatio));
         this.renderer.setSize(this.width, this.height);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.container.appendChild(this.renderer.domElement);
     }
 
-    async loadSVG(artworkKey) {
-        const artwork = this.artworks[artworkKey];
-        try {
-            const response = await fetch(artwork.file);
-            const svgText = await response.text();
-
-            // Parse SVG using DOMParser (safer than innerHTML)
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(svgText, 'image/svg+xml');
-            const svg = doc.querySelector('svg');
-
-            // Need to render SVG to get path lengths - create hidden container
-            const hiddenDiv = document.createElement('div');
-            hiddenDiv.style.cssText = 'position:fixed;left:-9999px;top:-9999px;width:500px;height:500px;opacity:0;pointer-events:none';
-            hiddenDiv.appendChild(svg.cloneNode(true));
-            document.body.appendChild(hiddenDiv);
-            hiddenDiv.offsetHeight; // Force layout
+    // Battery Status API (Chromium only) drives lowPower: 'auto'
+    watchBattery() {
+        if (!navigator.getBattery) return;
+        navigator.getBattery().then(battery => {
+            if (this.destroyed) return;
+            const update = () => {
+                this.batteryLow = !battery.charging && battery.level < 0.2;
+                this.applyPixelRatio();
+            };
+            this.listen(battery, 'levelchange', update);
+            this.listen(battery, 'chargingchange', update);
+            update();
+        }).catch(() => {});
+    }
 
-            const renderedSvg = hiddenDiv.querySelector('svg');
-            const viewBox = renderedSvg.getAttribute('viewBox').split(' ').map(Number);
-            artwork.svgWidth = viewBox[2];
-            artwork.svgHeight = viewBox[3];
+    // Separate streams, so energy lines can't shift the choreography
+    seedRandom() {
+        const { seed, random } = this.config;
+        const stream = (name) => {
+            if (random) return random;
+            if (seed === null || seed === undefined) return Math.random;
+            return RevealCore.createRandom(RevealCore.hashSeed(`${seed}:${name}`));
+        };
+        this.rng = { scatter: stream('scatter'), swap: stream('swap'), energy: stream('energy') };
+    }
 
-            // Store RAW unscaled paths (centered around origin)
-            artwork.rawPaths = [];
+    // ---- Idle modes ----
 
-            const sampleElement = (element) => {
-                try {
-                    const pathLength = element.getTotalLength();
-                    if (pathLength <= 0) return;
-                    const numPoints = Math.max(20, Math.min(150, Math.ceil(pathLength / 2)));
-                    const pathPoints = [];
-                    for (let i = 0; i <= numPoints; i++) {
-                        const t = i / numPoints;
-                        const point = element.getPointAtLength(t * pathLength);
-                        // Store centered but unscaled
-                        pathPoints.push({
-                            x: point.x - artwork.svgWidth / 2,
-                            y: -(point.y - artwork.svgHeight / 2),
-                            z: 0
-                        });
-                    }
-                    artwork.rawPaths.push(pathPoints);
-                } catch (e) {}
+    // Any input interrupts the idle modes and restarts the idle countdown
+    noteInput() {
+        this.lastInputTime = this.time;
+    }
+
+    updateIdle(dt) {
+        const modes = this.config.idleModes;
+        const idle = modes.length > 0 && this.autoRevealComplete && !this.isSwapping && !this.ambientPaused &&
+            this.time - this.lastInputTime >= this.config.idleDelay;
+
+        // Ease in slowly, get out of the way quickly
+        this.idleAmount = idle
+            ? Math.min(1, this.idleAmount + dt / 2)
+            : Math.max(0, this.idleAmount - dt / 0.3);
+        const amount = this.isReducedMotion() ? 0 : RevealCore.easeInOutCubic(this.idleAmount);
+
+        this.idleDrift = modes.includes('drift') ? amount * this.config.idleDriftAmount : 0;
+        this.idleGlow = modes.includes('glow') ? amount : 0;
+
+        const tilt = modes.includes('tilt') ? amount * THREE.MathUtils.degToRad(this.config.idleTiltAngle) : 0;
+        const phase = this.time * Math.PI * 2 / this.config.idleTiltPeriod;
+        this.idleTilt.set(Math.sin(phase) * tilt * 0.6, Math.sin(phase * 0.7 + 1) * tilt, 0);
+
+        // 'morph': not with scrollMorph, which owns the artwork shown
+        if (idle && modes.includes('morph') && !this.config.scrollMorph &&
+            this.time - Math.max(this.lastInputTime, this.lastIdleMorph) >= this.config.idleMorphInterval) {
+            this.lastIdleMorph = this.time;
+            this.swapArtwork();
+        }
+    }
+
+    // Pseudo-noise for 'drift', -1..1 per axis (keep in sync with the shader's driftField())
+    driftField(x, y) {
+        const s = this.config.idleDriftScale;
+        const t = this.time * this.config.idleDriftSpeed;
+        this.driftOffset.x = Math.sin(x * s + t * 0.7) * Math.cos(y * s * 1.3 - t * 0.5);
+        this.driftOffset.y = Math.sin(y * s + t * 0.6 + 1.7) * Math.cos(x * s * 1.1 + t * 0.4);
+        return this.driftOffset;
+    }
+
+    // ---- Parallax ----
+
+    usesOrientation() {
+        return this.config.parallax === 'orientation' || this.config.parallax === 'auto';
+    }
+
+    // Tilt sensor events; iOS 13+ sends none until requestOrientationPermission()
+    setupOrientation() {
+        if (this.orientationListening || !this.usesOrientation() || typeof DeviceOrientationEvent === 'undefined') return;
+        if (typeof DeviceOrientationEvent.requestPermission === 'function' && this.orientationPermission !== 'granted') return;
+        this.orientationListening = true;
+        this.listen(window, 'deviceorientation', (e) => this.onDeviceOrientation(e));
+    }
+
+    // iOS only asks from a user gesture (the first tap on the art). Resolves true if granted.
+    requestOrientationPermission() {
+        if (typeof DeviceOrientationEvent === 'undefined') return Promise.resolve(false);
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+            this.orientationPermission = 'granted';
+            this.setupOrientation();
+            return Promise.resolve(true);
+        }
+        if (this.orientationPermission !== 'prompt') {
+            return Promise.resolve(this.orientationPermission === 'granted');
+        }
+
+        this.orientationPermission = 'pending';
+        return DeviceOrientationEvent.requestPermission()
+            // Rejected (not from a gesture): ask again on the next tap
+            .catch(() => 'prompt')
+            .then((state) => {
+                this.orientationPermission = state === 'granted' || state === 'denied' ? state : 'prompt';
+                if (!this.destroyed) this.setupOrientation();
+                return this.orientationPermission === 'granted';
+            });
+    }
+
+    onDeviceOrientation(e) {
+        if (e.beta === null || e.gamma === null) return;
+
+        // Screen-relative tilt: the axes swap when the phone is held sideways
+        const angle = screen.orientation ? screen.orientation.angle : (window.orientation || 0);
+        let x = e.gamma;
+        let y = e.beta;
+        if (angle === 90) {
+            x = e.beta;
+            y = -e.gamma;
+        } else if (angle === -90 || angle === 270) {
+            x = -e.beta;
+            y = e.gamma;
+        } else if (angle === 180) {
+            x = -e.gamma;
+            y = -e.beta;
+        }
+
+        // Relative to how the phone is held, so any comfortable angle is "flat"
+        if (!this.orientationRest) this.orientationRest = { x, y };
+        const rest = this.orientationRest;
+        rest.x += (x - rest.x) * 0.01;
+        rest.y += (y - rest.y) * 0.01;
+
+        // Like looking through a window: tilt the phone right and the art turns left
+        const range = 25;
+        this.orientationTilt.set(
+            -THREE.MathUtils.clamp((x - rest.x) / range, -1, 1),
+            THREE.MathUtils.clamp((y - rest.y) / range, -1, 1)
+        );
+    }
+
+    // Tilt artGroup (parallax + idle 'tilt') and ease the depth layering in at rest
+    updateParallax(dt) {
+        const mode = this.config.parallax;
+        const target = this.parallaxTarget.set(0, 0);
+        if (mode && !this.isReducedMotion() && !this.exportState) {
+            if (mode !== 'orientation' && this.pointers.has('mouse')) {
+                // Turn to face the cursor
+                const rect = this.renderer.domElement.getBoundingClientRect();
+                target.set(
+                    THREE.MathUtils.clamp((this.pointerClient.x - rect.left) / rect.width * 2 - 1, -1, 1),
+                    THREE.MathUtils.clamp((this.pointerClient.y - rect.top) / rect.height * 2 - 1, -1, 1)
+                );
+            } else if (mode !== 'pointer' && this.orientationListening) {
+                target.copy(this.orientationTilt);
+            }
+        }
+        this.parallax.lerp(target, 1 - Math.exp(-dt * this.config.parallaxSmoothing));
+
+        const angle = THREE.MathUtils.degToRad(this.config.parallaxAngle);
+        const rotation = this.artGroup.rotation;
+        const rx = this.idleTilt.x + this.parallax.y * angle;
+        const ry = this.idleTilt.y + this.parallax.x * angle;
+
+        // Paths change places during a swap, so the layering flattens for it
+        const layered = this.config.parallaxDepth > 0 && this.autoRevealComplete && !this.isSwapping;
+        this.depthAmount = layered
+            ? Math.min(1, this.depthAmount + dt / 1.5)
+            : Math.max(0, this.depthAmount - dt / 0.4);
+        const depth = this.config.parallaxDepth * RevealCore.easeInOutCubic(this.depthAmount);
+
+        // Lines moved on screen: the hovered path may have changed
+        if (Math.abs(rotation.x - rx) + Math.abs(rotation.y - ry) > 1e-5 || depth !== this.depth) {
+            this.hoverDirty = true;
+        }
+        rotation.set(rx, ry, 0);
+        this.depth = depth;
+    }
+
+    // World-unit offset toward the camera of line i (the shader's lineDepth())
+    lineDepth(i) {
+        if (!this.depth) return 0;
+        const count = this.artworks[this.currentArtwork].svgPaths.length;
+        return this.depth * (i / Math.max(count - 1, 1) - 0.5);
+    }
+
+    // ---- Theme ----
+
+    // Re-resolve the theme; tweens from the colors on screen unless animate is false
+    applyTheme(animate = true) {
+        const target = this.resolveTheme();
+        if (animate && this.palette && this.config.themeTransition > 0 && !this.isReducedMotion()) {
+            this.themeTween = { from: this.palette, to: target, t: 0 };
+            return;
+        }
+        this.themeTween = null;
+        this.palette = target;
+        this.applyThemeColors(true);
+    }
+
+    // The palette config asks for: config.theme, then the color overrides
+    resolveTheme() {
+        const { theme } = this.config;
+        let data;
+        if (theme === 'auto') {
+            data = this.cssTheme();
+        } else if (typeof theme === 'string') {
+            data = HERO_THEMES[theme];
+            if (!data) {
+                console.warn(`Unknown theme '${theme}', using 'dark'`);
+                data = HERO_THEMES.dark;
+            }
+        } else {
+            data = { ...HERO_THEMES.dark, ...theme };
+        }
+
+        const palette = this.compileTheme(data);
+        const { baseColor, accentColor, backgroundColor, energyColor } = this.config;
+        if (baseColor) {
+            palette.line = [baseColor.clone(), baseColor.clone()];
+            palette.artworks = {};
+        }
+        if (accentColor) palette.accent.copy(accentColor);
+        if (backgroundColor) palette.background.copy(backgroundColor);
+        if (energyColor) palette.energy.copy(energyColor);
+        return palette;
+    }
+
+    // theme: 'auto' — the built-in theme for the color scheme, overridden by the page's CSS
+    cssTheme() {
+        const base = HERO_THEMES[this.colorSchemeQuery.matches ? 'light' : 'dark'];
+        const style = typeof getComputedStyle === 'function' && this.interactive ? getComputedStyle(this.container) : null;
+        const read = name => style ? style.getPropertyValue(`--hero-${name}`).trim() : '';
+        const line = prefix => {
+            const from = read(`${prefix}line`);
+            const to = read(`${prefix}line-end`);
+            if (!from) return null;
+            return to ? [from, to] : from;
+        };
+
+        const artworks = { ...base.artworks };
+        for (const key of this.artworkOrder) {
+            const value = line(`${key}-`);
+            if (value) artworks[key] = { line: value };
+        }
+        return {
+            background: read('bg') || base.background,
+            line: line('') || base.line,
+            accent: read('accent') || base.accent,
+            energy: read('energy') || base.energy,
+            gradientAlong: read('gradient-along') || base.gradientAlong,
+            artworks
+        };
+    }
+
+    // Theme data → palette of THREE.Colors; line is always a [from, to] ramp
+    compileTheme({ background, line, accent, energy, gradientAlong = 'path', artworks = {} }) {
+        const ramp = value => Array.isArray(value)
+            ? [new THREE.Color(value[0]), new THREE.Color(value[1])]
+            : [new THREE.Color(value), new THREE.Color(value)];
+        const palette = {
+            background: new THREE.Color(background),
+            accent: new THREE.Color(accent),
+            energy: new THREE.Color(energy),
+            line: ramp(line),
+            gradientAlong,
+            artworks: {}
+        };
+        for (const [key, override] of Object.entries(artworks)) {
+            palette.artworks[key] = {
+                line: ramp(override.line),
+                gradientAlong: override.gradientAlong || gradientAlong
             };
+        }
+        return palette;
+    }
 
-            renderedSvg.querySelectorAll('path').forEach(sampleElement);
-            renderedSvg.querySelectorAll('polygon').forEach(sampleElement);
-            renderedSvg.querySelectorAll('polyline').forEach(sampleElement);
-            renderedSvg.querySelectorAll('rect').forEach(sampleElement);
-            renderedSvg.querySelectorAll('circle').forEach(sampleElement);
-            renderedSvg.querySelectorAll('ellipse').forEach(sampleElement);
-            renderedSvg.querySelectorAll('line').forEach(sampleElement);
+    // Palette t of the way from a to b (gradientAlong switches straight to b's)
+    mixPalettes(a, b, t) {
+        const mix = (from, to) => from.clone().lerp(to, t);
+        const mixRamp = (from, to) => [mix(from[0], to[0]), mix(from[1], to[1])];
+        const artworks = {};
+        for (const key of new Set([...Object.keys(a.artworks), ...Object.keys(b.artworks)])) {
+            const to = b.artworks[key] || b;
+            artworks[key] = { line: mixRamp((a.artworks[key] || a).line, to.line), gradientAlong: to.gradientAlong };
+        }
+        return {
+            background: mix(a.background, b.background),
+            accent: mix(a.accent, b.accent),
+            energy: mix(a.energy, b.energy),
+            line: mixRamp(a.line, b.line),
+            gradientAlong: b.gradientAlong,
+            artworks
+        };
+    }
 
-            // Optionally limit to maxLines (0 = no limit, use all paths)
-            const maxLines = this.config.maxLines;
-            if (maxLines > 0 && artwork.rawPaths.length > maxLines) {
-                const scored = artwork.rawPaths.map((path, idx) => {
-                    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-                    for (const p of path) {
-                        if (p.x < minX) minX = p.x;
-                        if (p.x > maxX) maxX = p.x;
-                        if (p.y < minY) minY = p.y;
-                        if (p.y > maxY) maxY = p.y;
-                    }
-                    const size = (maxX - minX) + (maxY - minY);
-                    return { path, size, idx };
-                });
-                scored.sort((a, b) => b.size - a.size);
-                const top = scored.slice(0, maxLines);
-                top.sort((a, b) => a.idx - b.idx);
-                artwork.rawPaths = top.map(s => s.path);
+    // Line colors of one artwork: { line: [from, to], gradientAlong }
+    themePalette(artworkKey) {
+        return this.palette.artworks[artworkKey] || this.palette;
+    }
+
+    updateTheme(dt) {
+        const tween = this.themeTween;
+        if (!tween) return;
+        tween.t = Math.min(1, tween.t + dt / this.config.themeTransition);
+        if (tween.t < 1) {
+            this.palette = this.mixPalettes(tween.from, tween.to, RevealCore.easeInOutCubic(tween.t));
+        } else {
+            this.palette = tween.to;
+            this.themeTween = null;
+        }
+        // Fills are re-triangulated once, when the tween lands
+        this.applyThemeColors(!this.themeTween);
+    }
+
+    // Push the palette on screen to the scene, energy lines and line colors
+    applyThemeColors(rebuildFills) {
+        if (this.scene) this.scene.background = this.exportState && this.exportState.transparent ? null : this.palette.background;
+        for (const el of this.energyLines) el.material.color.copy(this.palette.energy);
+        this.styleVersion++;
+        if (!this.isReady || this.isSwapping) return;
+        this.applyLineStyles(this.currentArtwork);
+        if (rebuildFills && this.fillMesh && this.fillAmount > 0) this.buildFills(this.currentArtwork);
+    }
+
+    // Per-point 0→1 position on a line's gradient ('path' or 'artwork')
+    gradientRamp(artwork, i, along, out) {
+        const path = artwork.svgPaths[i];
+        const ramp = out && out.length === this.maxPointsPerLine ? out : new Float32Array(this.maxPointsPerLine);
+        let minX = 0, width = 0;
+        if (along === 'artwork') {
+            minX = Infinity;
+            let maxX = -Infinity;
+            for (const p of artwork.svgPaths) {
+                for (const point of p) {
+                    minX = Math.min(minX, point.x);
+                    maxX = Math.max(maxX, point.x);
+                }
+            }
+            width = maxX - minX;
+        }
+        for (let j = 0; j < this.maxPointsPerLine; j++) {
+            const k = Math.min(j, path.length - 1);
+            if (along === 'artwork') {
+                ramp[j] = width > 0 ? (path[k].x - minX) / width : 0;
+            } else {
+                ramp[j] = path.length > 1 ? k / (path.length - 1) : 0;
+            }
+        }
+        return ramp;
+    }
+
+    // Dash pattern (two dash-gap pairs at most) and per-point distance along the path
+    lineDash(artwork, i, style, out) {
+        const path = artwork.rawPaths[i];
+        const dashes = style.dashArray;
+        const pattern = dashes.length === 2 ? dashes.concat(dashes) : dashes.slice(0, 4);
+        const distances = out && out.distances.length === this.maxPointsPerLine
+            ? out.distances
+            : new Float32Array(this.maxPointsPerLine);
+        let distance = style.dashOffset;
+        for (let j = 0; j < this.maxPointsPerLine; j++) {
+            if (j > 0 && j < path.length) distance += Math.hypot(path[j].x - path[j - 1].x, path[j].y - path[j - 1].y);
+            distances[j] = distance;
+        }
+        // pixels: CSS px per SVG unit, for snapshotSVG()
+        return { pattern, offset: style.dashOffset, distances, pixels: artwork.scale * this.worldToPixels() };
+    }
+
+    // ---- Artwork registry ----
+
+    /**
+     * Register an SVG artwork and start loading it.
+     * fit/padding control the mobile layout: 'width' fills the viewport width,
+     * 'contain' fits both axes. padding is px per side (number or { x, y }).
+     * Desktop always uses the balanced 80px / 0.55 scaling.
+     * label is the accessible name announced to screen readers (defaults to key).
+     * baked is optional pre-sampled JSON from tools/bake-artwork.js (file is the fallback).
+     * Returns a promise that resolves once the artwork is sampled.
+     */
+    registerArtwork(key, { file, baked = null, fit = 'contain', padding = 10, label = key } = {}) {
+        if (!this.artworks[key]) this.artworkOrder.push(key);
+        const pad = typeof padding === 'number' ? { x: padding, y: padding } : padding;
+        this.artworks[key] = {
+            svgPaths: [], rawPaths: [], styles: [], file, baked, fit, padding: pad, label,
+            svgWidth: 0, svgHeight: 0, scale: 1
+        };
+        this.artworks[key].ready = this.loadSVG(key);
+        return this.artworks[key].ready;
+    }
+
+    // Next artwork in registration order (wraps around)
+    nextArtworkKey(after = this.currentArtwork) {
+        const idx = this.artworkOrder.indexOf(after);
+        return this.artworkOrder[(idx + 1) % this.artworkOrder.length];
+    }
+
+    // Lines and points per line needed to hold every loaded artwork
+    getLineCapacity() {
+        let lines = 0, points = 0;
+        for (const key of this.artworkOrder) {
+            const paths = this.artworks[key].svgPaths;
+            lines = Math.max(lines, paths.length);
+            for (const path of paths) points = Math.max(points, path.length);
+        }
+        return { lines, points };
+    }
+
+    // Grow the pre-allocated lines if an artwork registered after init needs more
+    ensureLineCapacity() {
+        if (!this.lines.length) return;
+        const capacity = this.getLineCapacity();
+        if (capacity.lines <= this.maxLineCount && capacity.points <= this.maxPointsPerLine) return;
+        this.maxLineCount = Math.max(this.maxLineCount, capacity.lines);
+        this.preallocateLines();
+    }
+
+    // Baked JSON if registered with one, else DOM sampling. Never throws.
+    async loadSVG(artworkKey) {
+        const artwork = this.artworks[artworkKey];
+        let source = 'SVG';
+
+        try {
+            if (artwork.baked) {
+                try {
+                    await this.loadBakedArtwork(artwork);
+                    source = 'baked';
+                } catch (error) {
+                    console.warn(`Could not load ${artwork.baked}, sampling ${artwork.file} instead:`, error);
+                    await this.sampleSVGInDOM(artworkKey);
+                }
+            } else {
+                await this.sampleSVGInDOM(artworkKey);
             }
 
+            // Optionally limit to maxLines (0 = no limit, use all paths)
+            const kept = ArtworkSampling.keptPathIndices(artwork.rawPaths, this.config.maxLines);
+            artwork.rawPaths = kept.map(i => artwork.rawPaths[i]);
+            artwork.styles = kept.map(i => artwork.styles[i]);
+
             // Apply initial scale
             this.applyScale(artworkKey);
-
-            document.body.removeChild(hiddenDiv);
-            console.log(`${artworkKey}: ${artwork.rawPaths.length} shapes (from SVG)`);
+            console.log(`${artworkKey}: ${artwork.rawPaths.length} shapes (from ${source})`);
         } catch (error) {
             console.error(`Could not load ${artwork.file}:`, error);
         }
     }
 
-    // Calculate and apply scale for an artwork based on current viewport
-    applyScale(artworkKey) {
+    // Pre-sampled paths written by tools/bake-artwork.js
+    async loadBakedArtwork(artwork) {
+        const response = await this.fetchResource(artwork.baked);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const data = ArtworkSampling.unbake(await response.json());
+        artwork.svgWidth = data.width;
+        artwork.svgHeight = data.height;
+        artwork.rawPaths = data.rawPaths;
+        artwork.styles = data.styles;
+    }
+
+    async sampleSVGInDOM(artworkKey) {
         const artwork = this.artworks[artworkKey];
-        if (!artwork.rawPaths.length) return;
+        const response = await this.fetchResource(artwork.file);
+        const svgText = await response.text();
 
-        const isMobile = this.width < 768;
-        let scale;
+        // Parse SVG using DOMParser (safer than innerHTML)
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(svgText, 'image/svg+xml');
+        const svg = doc.querySelector('svg');
 
-        if (artworkKey === 'logo') {
-            // LOGO: On mobile, fill width with 10px padding each side
-            // On desktop, use balanced scaling
-            if (isMobile) {
-                const targetWidth = this.width - 20; // 10px padding each side
-                scale = targetWidth / artwork.svgWidth;
-            } else {
-                const padding = 80;
-                const availableWidth = this.width - padding * 2;
-                const availableHeight = this.height - padding * 2;
-                const scaleX = availableWidth / artwork.svgWidth;
-                const scaleY = availableHeight / artwork.svgHeight;
-                scale = Math.min(scaleX, scaleY) * 0.55;
-            }
-        } else {
-            // VERTEBRA: Fit within screen without overflow (use smaller of width/height scale)
-            if (isMobile) {
-                const paddingX = 20; // 10px each side
-                const paddingY = 40; // some vertical breathing room
-                const scaleX = (this.width - paddingX) / artwork.svgWidth;
-                const scaleY = (this.height - paddingY) / artwork.svgHeight;
-                scale = Math.min(scaleX, scaleY);
-            } else {
-                const padding = 80;
-                const availableWidth = this.width - padding * 2;
-                const availableHeight = this.height - padding * 2;
-                const scaleX = availableWidth / artwork.svgWidth;
-                const scaleY = availableHeight / artwork.svgHeight;
-                scale = Math.min(scaleX, scaleY) * 0.55;
+        // Need to render SVG to get path lengths - create hidden container
+        const hiddenDiv = document.createElement('div');
+        hiddenDiv.style.cssText = 'position:fixed;left:-9999px;top:-9999px;width:500px;height:500px;opacity:0;pointer-events:none';
+        hiddenDiv.appendChild(svg.cloneNode(true));
+        document.body.appendChild(hiddenDiv);
+
+        try {
+            hiddenDiv.offsetHeight; // Force layout
+
+            // Shared walk; elements sample themselves (getPointAtLength)
+            const renderedSvg = hiddenDiv.querySelector('svg');
+            const tree = {
+                tag: el => el.localName,
+                attr: (el, name) => el.getAttribute(name),
+                style: (el, name) => getComputedStyle(el).getPropertyValue(name),
+                children: el => Array.from(el.children),
+                byId: id => renderedSvg.querySelector(`#${CSS.escape(id)}`)
+            };
+            const { rawPaths, styles, width, height, errors } =
+                ArtworkSampling.sampleArtwork(tree, renderedSvg, element => element);
+
+            // Store RAW unscaled paths (centered around origin)
+            artwork.rawPaths = rawPaths;
+            artwork.styles = styles;
+            artwork.svgWidth = width;
+            artwork.svgHeight = height;
+
+            if (errors.length) {
+                console.warn(`${artworkKey}: skipped ${errors.length} shapes that could not be sampled`, errors[0].error);
             }
+        } finally {
+            document.body.removeChild(hiddenDiv);
         }
+    }
+
+    // Calculate and apply scale for an artwork based on current viewport
+    applyScale(artworkKey) {
+        const artwork = this.artworks[artworkKey];
+        if (!artwork.rawPaths.length) return;
 
-        // Apply scale to create svgPaths from rawPaths
-        artwork.svgPaths = artwork.rawPaths.map(rawPath =>
-            rawPath.map(p => ({
-                x: p.x * scale,
-                y: p.y * scale,
-                z: p.z
-            }))
-        );
+        artwork.scale = RevealCore.fitScale(artwork, this.width, this.height);
+        artwork.svgPaths = RevealCore.scalePaths(artwork.rawPaths, artwork.scale);
     }
 
     // Recalculate all scales (called on resize)
     recalculateScales() {
-        this.applyScale('logo');
-        this.applyScale('vertebra');
+        // How much each artwork grew or shrank
+        const ratios = {};
+        this.artworkOrder.forEach(key => {
+            const previous = this.artworks[key].scale;
+            this.applyScale(key);
+            ratios[key] = previous ? this.artworks[key].scale / previous : 1;
+        });
+        if (!this.isReady) return;
+        this.rescaleInFlight(ratios);
 
-        // Update max line count (shouldn't change, but be safe)
-        this.maxLineCount = Math.max(
-            this.artworks.logo.svgPaths.length,
-            this.artworks.vertebra.svgPaths.length
-        );
+        // Update current artwork targets (a swap keeps its own, finishSwap() re-applies them)
+        if (!this.isSwapping) this.setArtworkTargets(this.currentArtwork);
 
-        // Update current artwork targets
-        this.setArtworkTargets(this.currentArtwork);
+        // Source stroke widths follow the artwork scale; fills are rebuilt at the new size
+        if (!this.isSwapping) {
+            this.applyLineStyles(this.currentArtwork);
+            if (this.fillMesh && this.fillAmount > 0) this.buildFills(this.currentArtwork);
+        }
 
         // If not currently swapping, snap to new positions
         if (!this.isSwapping && this.autoRevealComplete) {
@@ -296,18 +1571,66 @@ class AballeRevealArt {
         }
     }
 
-    // Pre-allocate all Three.js line objects with enough points for any artwork
+    // Carry in-flight reveal and swap state over to the new size
+    rescaleInFlight(ratios) {
+        const scaleLines = (lines, ratio) => {
+            if (!lines || ratio === 1) return;
+            for (const line of lines) {
+                for (const point of line) {
+                    point.x *= ratio;
+                    point.y *= ratio;
+                }
+            }
+        };
+
+        if (!this.autoRevealComplete) {
+            const ratio = ratios[this.currentArtwork];
+            scaleLines(this.scatteredPositions, ratio);
+            // Still waiting to start, lines sit on their scattered positions
+            scaleLines(this.currentPositions, ratio);
+        }
+
+        // Kept after a swap too, a scroll morph can re-open it
+        if (this.swapPoseArtworks) {
+            const from = ratios[this.swapPoseArtworks.from] || 1;
+            const to = ratios[this.swapPoseArtworks.to] || 1;
+            scaleLines(this.swapStartPositions, from);
+            scaleLines(this.swapToPositions, to);
+            scaleLines(this.shatteredSwapPositions, (from + to) / 2);
+            const parent = this.swapIsSplit ? from : to;
+            for (const offset of this.splitOffsets || []) {
+                offset.x *= parent;
+                offset.y *= parent;
+            }
+        }
+
+        if (this.isSwapping && this.swapStyle === 'fade') {
+            // Positions only change at the crossfade's midpoint
+            scaleLines(this.currentPositions, ratios[this.crossfadeShown]);
+        } else if (this.isSwapping && this.swapOnGpu) {
+            this.uploadSwapAttributes();
+        }
+        if (!this.autoRevealComplete || this.isSwapping) {
+            for (let i = 0; i < this.maxLineCount; i++) this.updateLineGeometry(i);
+        }
+    }
+
+    // Pre-allocate per-line state with enough points for any artwork
+    // Safe to call again later: existing lines are extended, never shrunk
     preallocateLines() {
-        let maxPointsPerLine = 0;
-        for (const key of ['logo', 'vertebra']) {
-            for (const path of this.artworks[key].svgPaths) {
-                maxPointsPerLine = Math.max(maxPointsPerLine, path.length);
+        const maxPointsPerLine = Math.max(this.getLineCapacity().points, this.maxPointsPerLine || 0, 30);
+
+        // Extend existing lines (late-registered artwork with longer paths)
+        for (let i = 0; i < this.lines.length; i++) {
+            for (let j = this.currentPositions[i].length; j < maxPointsPerLine; j++) {
+                this.currentPositions[i].push(this.currentPositions[i][j - 1].clone());
+                this.originalPositions[i].push(this.originalPositions[i][j - 1].clone());
+                this.velocities[i].push(new THREE.Vector3(0, 0, 0));
             }
         }
-        maxPointsPerLine = Math.max(maxPointsPerLine, 30);
         this.maxPointsPerLine = maxPointsPerLine;
 
-        for (let i = 0; i < this.maxLineCount; i++) {
+        for (let i = this.lines.length; i < this.maxLineCount; i++) {
             const linePoints = [];
             const originalPoints = [];
             const velocityPoints = [];
@@ -318,18 +1641,15 @@ class AballeRevealArt {
                 velocityPoints.push(new THREE.Vector3(0, 0, 0));
             }
 
-            const geometry = new THREE.BufferGeometry().setFromPoints(linePoints);
-            const material = new THREE.LineBasicMaterial({
-                color: this.config.baseColor,
-                transparent: true,
-                opacity: 0.8
-            });
-
-            const line = new THREE.Line(geometry, material);
-            this.artGroup.add(line);
-
             this.lines.push({
-                mesh: line, geometry, material,
+                baseColor: this.palette.line[0].clone(),    // theme or SVG color, see applyLineStyles()
+                rampColor: this.palette.line[1].clone(),    // gradient end color
+                ramp: null,                                 // per-point 0→1 along the gradient, null = solid
+                accentMix: 0,                               // 0→1 tint toward the palette accent
+                width: 0,                                   // CSS px, 0 = hairline
+                dash: null,                                 // { pattern, distances, ... } or null = solid
+                // Lines added after the reveal stay hidden until a swap uses them
+                opacity: this.autoRevealComplete ? 0 : 0.8,
                 baseOpacity: 0.8,
                 activePointCount: 0,
                 visible: true
@@ -338,41 +1658,265 @@ class AballeRevealArt {
             this.currentPositions.push(linePoints);
             this.velocities.push(velocityPoints);
         }
+
+        this.buildLineBatch();
+    }
+
+    // All lines in one instanced draw call; line i owns maxPointsPerLine consecutive points
+    buildLineBatch() {
+        const pointsPerLine = this.maxPointsPerLine;
+        const pointCount = this.maxLineCount * pointsPerLine;
+
+        // Per-point data; each buffer is read at point k (…A) and, for positions, k + 1 (…B)
+        const pointBuffer = (array, itemSize, usage = THREE.StaticDrawUsage) =>
+            new THREE.InstancedInterleavedBuffer(array, itemSize, 1).setUsage(usage);
+        const positions = pointBuffer(new Float32Array(pointCount * 3), 3, THREE.DynamicDrawUsage);
+        const colors = pointBuffer(new Float32Array(pointCount * 4), 4, THREE.DynamicDrawUsage);
+        const widths = pointBuffer(new Float32Array(pointCount), 1, THREE.DynamicDrawUsage);
+        const dashes = pointBuffer(new Float32Array(pointCount * 4), 4, THREE.DynamicDrawUsage);
+        const distances = pointBuffer(new Float32Array(pointCount), 1, THREE.DynamicDrawUsage);
+
+        // GPU swap inputs, uploaded once per swap by uploadSwapAttributes()
+        const swapBuffers = {
+            swapStart: pointBuffer(new Float32Array(pointCount * 3), 3),
+            swapShattered: pointBuffer(new Float32Array(pointCount * 3), 3),
+            swapTarget: pointBuffer(new Float32Array(pointCount * 3), 3),
+            swapLine: pointBuffer(new Float32Array(pointCount * 4), 4)
+        };
+        const linePoints = new Float32Array(pointCount * 2);
+        for (let i = 0; i < this.maxLineCount; i++) {
+            for (let j = 0; j < pointsPerLine; j++) {
+                linePoints[(i * pointsPerLine + j) * 2] = i;
+                linePoints[(i * pointsPerLine + j) * 2 + 1] = j;
+            }
+        }
+
+        const atPoint = (buffer, itemSize) => new THREE.InterleavedBufferAttribute(buffer, itemSize, 0);
+        const atNextPoint = (buffer, itemSize) => new THREE.InterleavedBufferAttribute(buffer, itemSize, itemSize);
+
+        const geometry = new THREE.InstancedBufferGeometry();
+        geometry.setIndex([0, 1, 2, 2, 1, 3]);
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute([0, -1, 0, 1, -1, 0, 0, 1, 0, 1, 1, 0], 3));
+        geometry.setAttribute('pointA', atPoint(positions, 3));
+        geometry.setAttribute('pointB', atNextPoint(positions, 3));
+        geometry.setAttribute('lineColor', atPoint(colors, 4));
+        geometry.setAttribute('lineWidth', atPoint(widths, 1));
+        geometry.setAttribute('lineDash', atPoint(dashes, 4));
+        geometry.setAttribute('lineDistanceA', atPoint(distances, 1));
+        geometry.setAttribute('lineDistanceB', atNextPoint(distances, 1));
+        geometry.setAttribute('swapStartA', atPoint(swapBuffers.swapStart, 3));
+        geometry.setAttribute('swapStartB', atNextPoint(swapBuffers.swapStart, 3));
+        geometry.setAttribute('swapShatteredA', atPoint(swapBuffers.swapShattered, 3));
+        geometry.setAttribute('swapShatteredB', atNextPoint(swapBuffers.swapShattered, 3));
+        geometry.setAttribute('swapTargetA', atPoint(swapBuffers.swapTarget, 3));
+        geometry.setAttribute('swapTargetB', atNextPoint(swapBuffers.swapTarget, 3));
+        geometry.setAttribute('swapLine', atPoint(swapBuffers.swapLine, 4));
+        geometry.setAttribute('linePoint', atPoint(pointBuffer(linePoints, 2), 2));
+        // The final point has no next point to read
+        geometry.instanceCount = pointCount - 1;
+
+        if (this.lineBatch) {
+            // Rebuilding after growth: swap geometry, keep the material
+            this.lineBatch.geometry.dispose();
+            this.lineBatch.mesh.geometry = geometry;
+            this.lineBatch.geometry = geometry;
+        } else {
+            const material = new THREE.ShaderMaterial({
+                vertexShader: LINE_VERTEX_SHADER,
+                fragmentShader: LINE_FRAGMENT_SHADER,
+                uniforms: {
+                    uSwapping: { value: 0 },
+                    uSwapPhase: { value: new THREE.Vector4() },
+                    uSwapEasing: { value: 0 },
+                    uSwapAccent: { value: new THREE.Vector2() },
+                    uSwapOpacity: { value: new THREE.Vector2() },
+                    uSwapEdge: { value: new THREE.Vector2() },
+                    uIsSplit: { value: 0 },
+                    uDriftAmount: { value: 0 },
+                    uAccentColor: { value: new THREE.Color() },
+                    uPointer: { value: this.shaderPointer },
+                    uRepelRadius: { value: 0 },
+                    uRepelPush: { value: 0 },
+                    uPulse: { value: 0 },
+                    uDepth: { value: 0 },
+                    uDepthLines: { value: 1 },
+                    uIdleDrift: { value: 0 },
+                    uIdleDriftScale: { value: 0 },
+                    uIdleDriftTime: { value: 0 },
+                    uResolution: { value: new THREE.Vector2(1, 1) },
+                    uPixelRatio: { value: 1 },
+                    uPointsPerLine: { value: 0 }
+                },
+                transparent: true,
+                depthWrite: false
+            });
+            const mesh = new THREE.Mesh(geometry, material);
+            // Positions change every frame, the bounding sphere would always be stale
+            mesh.frustumCulled = false;
+            this.artGroup.add(mesh);
+            this.lineBatch = { mesh, geometry, material };
+        }
+
+        this.lineBatch.material.uniforms.uPointsPerLine.value = pointsPerLine;
+        this.lineBatch.positions = positions;
+        this.lineBatch.colors = colors;
+        this.lineBatch.widths = widths;
+        this.lineBatch.dashes = dashes;
+        this.lineBatch.distances = distances;
+        this.lineBatch.swapBuffers = swapBuffers;
+
+        for (let i = 0; i < this.maxLineCount; i++) {
+            this.lines[i].drawn = null;
+            this.updateLineGeometry(i);
+        }
+        this.syncLineStyles();
+        this.gpuRestDirty = true;
+    }
+
+    // Copy the per-swap CPU arrays into the shader attributes (GPU swap mode)
+    uploadSwapAttributes() {
+        const buffers = this.lineBatch.swapBuffers;
+        const start = buffers.swapStart.array;
+        const shattered = buffers.swapShattered.array;
+        const target = buffers.swapTarget.array;
+        const swapLine = buffers.swapLine.array;
+        const writePoint = (array, v, p) => {
+            array[v * 3] = p.x;
+            array[v * 3 + 1] = p.y;
+            array[v * 3 + 2] = p.z;
+        };
+
+        // Lines beyond both artworks (neither wasOld nor isNew) stay hidden
+        for (let i = 0; i < this.maxLineCount; i++) {
+            const wasOld = i < this.swapOldPathCount ? 1 : 0;
+            const isNew = i < this.swapNewPathCount ? 1 : 0;
+            for (let j = 0; j < this.maxPointsPerLine; j++) {
+                const v = i * this.maxPointsPerLine + j;
+                writePoint(start, v, this.swapStartPositions[i][j]);
+                writePoint(shattered, v, this.shatteredSwapPositions[i][j]);
+                writePoint(target, v, this.swapToPositions[i][j]);
+                swapLine[v * 4] = this.splitOffsets[i].x;
+                swapLine[v * 4 + 1] = this.splitOffsets[i].y;
+                swapLine[v * 4 + 2] = wasOld;
+                swapLine[v * 4 + 3] = isNew;
+            }
+        }
+
+        for (const buffer of Object.values(buffers)) buffer.needsUpdate = true;
+    }
+
+    // Per-frame shader inputs: colors, viewport, swap progress, and the eased pointer for GPU repel
+    updateShaderUniforms(dt) {
+        const uniforms = this.lineBatch.material.uniforms;
+        uniforms.uAccentColor.value.copy(this.palette.accent);
+        this.renderer.getDrawingBufferSize(uniforms.uResolution.value);
+        uniforms.uPixelRatio.value = this.renderer.getPixelRatio();
+        uniforms.uSwapping.value = this.isSwapping && this.swapOnGpu ? 1 : 0;
+        if (this.isSwapping && this.swapOnGpu) {
+            const { phase, index, t } = this.swapState;
+            uniforms.uSwapPhase.value.set(t, phase.from, phase.to, phase.motionId);
+            uniforms.uSwapEasing.value = phase.easingId;
+            uniforms.uSwapAccent.value.fromArray(phase.accent);
+            uniforms.uSwapOpacity.value.fromArray(phase.opacity);
+            uniforms.uSwapEdge.value.set(index === 0 ? 1 : 0, index === this.swapTimeline.phases.length - 1 ? 1 : 0);
+        }
+        uniforms.uIsSplit.value = this.swapIsSplit ? 1 : 0;
+        uniforms.uDriftAmount.value = this.config.disassembleDrift;
+        uniforms.uRepelRadius.value = this.config.repelRadius;
+        uniforms.uDepth.value = this.depth;
+        uniforms.uDepthLines.value = this.artworks[this.currentArtwork].svgPaths.length;
+
+        const gpuRest = this.config.gpuAnimation && this.autoRevealComplete && !this.isSwapping;
+        if (!gpuRest) {
+            uniforms.uRepelPush.value = 0;
+            uniforms.uPulse.value = 0;
+            uniforms.uIdleDrift.value = 0;
+            return;
+        }
+        uniforms.uIdleDrift.value = this.idleDrift;
+        uniforms.uIdleDriftScale.value = this.config.idleDriftScale;
+        uniforms.uIdleDriftTime.value = this.time * this.config.idleDriftSpeed;
+
+        // Ease the repel in/out and follow the pointer smoothly (stands in for the CPU springs)
+        const ease = 1 - Math.pow(0.85, dt * 60);
+        const targetAmount = this.isInteracting ? 1 : 0;
+        if (this.isInteracting && this.shaderRepelAmount < 0.01) {
+            this.shaderPointer.set(this.mouseWorld.x, this.mouseWorld.y);
+        } else if (this.isInteracting) {
+            this.shaderPointer.x += (this.mouseWorld.x - this.shaderPointer.x) * ease;
+            this.shaderPointer.y += (this.mouseWorld.y - this.shaderPointer.y) * ease;
+        }
+        this.shaderRepelAmount += (targetAmount - this.shaderRepelAmount) * ease;
+
+        uniforms.uRepelPush.value = this.shaderRepelAmount * this.config.shaderRepelPush;
+        uniforms.uPulse.value = this.isPulseActive()
+            ? Math.sin(this.time * this.config.pulseSpeed) * this.config.pulseAmount
+            : 0;
     }
 
     // Set target positions from an artwork — collapses unused lines to a point
     setArtworkTargets(artworkKey) {
         const paths = this.artworks[artworkKey].svgPaths;
+        for (let i = 0; i < this.maxLineCount; i++) {
+            const pointCount = RevealCore.fillTargets(this.originalPositions[i], paths[i], this.maxPointsPerLine);
+            this.lines[i].activePointCount = pointCount;
+            this.lines[i].visible = pointCount > 0;
+        }
+    }
+
+    // Per-line color, width and dashes for an artwork
+    applyLineStyles(artworkKey) {
+        const artwork = this.artworks[artworkKey];
+        const sourceColors = this.config.lineColors === 'source';
+        const palette = this.themePalette(artworkKey);
+        const gradient = !palette.line[0].equals(palette.line[1]);
+        const lineWidth = this.config.lineWidth;
+        // SVG units → world units (artwork scale) → CSS px at z = 0
+        const sourceScale = artwork.scale * this.worldToPixels() * this.config.lineWidthScale;
 
         for (let i = 0; i < this.maxLineCount; i++) {
-            if (i < paths.length) {
-                const path = paths[i];
-                const pointCount = path.length;
-                this.lines[i].activePointCount = pointCount;
-                this.lines[i].visible = true;
+            const line = this.lines[i];
+            const style = i < artwork.svgPaths.length ? artwork.styles[i] : null;
+            const sourceColor = sourceColors && style && (style.stroke || style.fill);
 
-                for (let j = 0; j < this.maxPointsPerLine; j++) {
-                    if (j < pointCount) {
-                        this.originalPositions[i][j].set(path[j].x, path[j].y, path[j].z);
-                    } else {
-                        const last = path[pointCount - 1];
-                        this.originalPositions[i][j].set(last.x, last.y, last.z);
-                    }
-                }
+            if (sourceColor && this.isReadable(line.baseColor.set(sourceColor))) {
+                line.rampColor.copy(line.baseColor);
+                line.ramp = null;
             } else {
-                this.lines[i].activePointCount = 0;
-                this.lines[i].visible = false;
+                line.baseColor.copy(palette.line[0]);
+                line.rampColor.copy(palette.line[1]);
+                line.ramp = gradient && style ? this.gradientRamp(artwork, i, palette.gradientAlong, line.ramp) : null;
+            }
 
-                for (let j = 0; j < this.maxPointsPerLine; j++) {
-                    this.originalPositions[i][j].set(0, 0, 0);
-                }
+            if (lineWidth === 'source') {
+                line.width = style ? style.strokeWidth * sourceScale : 0;
+            } else {
+                line.width = lineWidth === 'hairline' ? 0 : Number(lineWidth) || 0;
             }
+            line.dash = lineWidth === 'source' && style && style.dashArray
+                ? this.lineDash(artwork, i, style, line.dash)
+                : null;
         }
+        this.styleVersion++;
+        this.gpuRestDirty = true;
+    }
+
+    // Whether a source color stands out from the background (WCAG non-text contrast,
+    // 3:1). Black artwork on the 'dark' theme doesn't: the theme's colors stand in.
+    isReadable(color) {
+        return contrastRatio(color, this.palette.background) >= 3;
+    }
+
+    // CSS pixels per world unit on the z = 0 plane
+    worldToPixels() {
+        const visibleHeight = 2 * this.camera.position.z * Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+        return this.height / visibleHeight;
     }
 
     generateScatteredPositions() {
         this.scatteredPositions = [];
         const r = this.config.scatterRadius;
+        const random = this.rng.scatter;
 
         for (let i = 0; i < this.maxLineCount; i++) {
             const scattered = [];
@@ -382,15 +1926,9 @@ class AballeRevealArt {
                 const orig = this.originalPositions[i][j];
 
                 if (this.lines[i].visible && j < activeCount) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const dist = r * (0.4 + Math.random() * 0.6);
-                    scattered.push(new THREE.Vector3(
-                        orig.x + Math.cos(angle) * dist,
-                        orig.y + Math.sin(angle) * dist,
-                        (Math.random() - 0.5) * 150
-                    ));
+                    scattered.push(RevealCore.scatterPoint(orig, r, random));
                 } else {
-                    scattered.push(orig.clone());
+                    scattered.push({ x: orig.x, y: orig.y, z: orig.z });
                 }
             }
             this.scatteredPositions.push(scattered);
@@ -411,212 +1949,167 @@ class AballeRevealArt {
             const delayT = this.autoRevealTime / this.autoRevealDelay;
             for (let i = 0; i < this.maxLineCount; i++) {
                 if (!this.lines[i].visible) {
-                    this.lines[i].material.opacity = 0;
+                    this.lines[i].opacity = 0;
                     continue;
                 }
-                this.lines[i].material.opacity = delayT * 0.15; // very subtle fade-in during delay
+                this.lines[i].opacity = delayT * 0.15; // very subtle fade-in during delay
             }
             return;
         }
 
         this.autoRevealProgress = Math.min(elapsed / this.autoRevealDuration, 1);
-        const t = this.easeInOutCubic(this.autoRevealProgress);
 
         for (let i = 0; i < this.maxLineCount; i++) {
             if (!this.lines[i].visible) {
-                this.lines[i].material.opacity = 0;
+                this.lines[i].opacity = 0;
                 continue;
             }
 
             if (!this.scatteredPositions[i]) continue;
 
+            const delay = this.revealDelays ? this.revealDelays[i] : 0;
+            const t = RevealCore.easeInOutCubic(this.staggeredProgress(this.autoRevealProgress, delay, this.revealDelays));
+
             for (let j = 0; j < this.maxPointsPerLine; j++) {
                 const scattered = this.scatteredPositions[i][j];
                 const target = this.originalPositions[i][j];
                 if (!scattered || !target) continue;
-
-                this.currentPositions[i][j].x = scattered.x + (target.x - scattered.x) * t;
-                this.currentPositions[i][j].y = scattered.y + (target.y - scattered.y) * t;
-                this.currentPositions[i][j].z = scattered.z + (target.z - scattered.z) * t;
+                RevealCore.revealPoint(this.currentPositions[i][j], scattered, target, t);
             }
 
             this.updateLineGeometry(i);
-
-            // Opacity ramps faster than position — full at ~60% of reveal
-            this.lines[i].material.opacity = Math.min(1, t * 1.6) * 0.8;
+            this.lines[i].opacity = RevealCore.revealOpacity(t);
         }
 
         // Mark reveal complete (no click hint)
         if (this.autoRevealProgress >= 1) {
             this.autoRevealComplete = true;
+            this.emit('revealcomplete');
         }
     }
 
-    // ---- Click to swap artwork (split + drift + reassemble) ----
+    // ---- Stagger ----
+
+    // Per-line start delays for config.stagger, 0 → 1 (null = lockstep)
+    computeLineDelays(positions, count, focus) {
+        const mode = this.config.stagger;
+        if (mode === 'none' || !this.config.staggerAmount || count < 2) return null;
 
-    // Find the nearest logo line to a given point
-    findNearestLogoLine(x, y, logoPaths) {
-        let bestIdx = 0, bestDist = Infinity;
-        for (let i = 0; i < logoPaths.length; i++) {
-            const path = logoPaths[i];
+        const keys = [];
+        for (let i = 0; i < count; i++) {
+            if (mode === 'index') {
+                keys.push(i);
+                continue;
+            }
+            const n = this.lines[i].activePointCount || this.maxPointsPerLine;
             let cx = 0, cy = 0;
-            for (const p of path) { cx += p.x; cy += p.y; }
-            cx /= path.length; cy /= path.length;
-            const d = (x - cx) * (x - cx) + (y - cy) * (y - cy);
-            if (d < bestDist) { bestDist = d; bestIdx = i; }
+            for (let j = 0; j < n; j++) {
+                cx += positions[i][j].x;
+                cy += positions[i][j].y;
+            }
+            cx /= n; cy /= n;
+            keys.push(mode === 'sweep' ? cx : Math.hypot(cx - focus.x, cy - focus.y));
         }
-        return bestIdx;
+
+        const min = Math.min(...keys);
+        const range = Math.max(...keys) - min;
+        const delays = new Array(this.maxLineCount).fill(0);
+        keys.forEach((key, i) => { delays[i] = range > 0 ? (key - min) / range : 0; });
+        return delays;
     }
 
-    swapArtwork() {
-        if (this.isSwapping) return;
+    // Where a 'focus' stagger starts: a click, the pointer, or the center
+    staggerFocus(origin = null) {
+        if (origin) return origin;
+        if (this.config.staggerFocus === 'pointer' && this.isInteracting) return this.mouseWorld;
+        return { x: 0, y: 0 };
+    }
 
-        const newArtwork = this.currentArtwork === 'logo' ? 'vertebra' : 'logo';
-        const oldArtworkKey = this.currentArtwork;
-        const oldPaths = this.artworks[oldArtworkKey].svgPaths;
-        const newPaths = this.artworks[newArtwork].svgPaths;
-        const oldPathCount = oldPaths.length;
-        const newPathCount = newPaths.length;
+    // A line's own 0→1 progress, `delay` of staggerAmount late (delays null: lockstep)
+    staggeredProgress(progress, delay, delays) {
+        return delays ? RevealCore.staggeredProgress(progress, delay, this.config.staggerAmount) : progress;
+    }
 
-        // Determine direction
-        const isLogoToVertebra = oldArtworkKey === 'logo';
-        const logoPaths = isLogoToVertebra ? oldPaths : newPaths;
-        const vertebraPaths = isLogoToVertebra ? newPaths : oldPaths;
+    // ---- Click to swap artwork (split + drift + reassemble) ----
 
-        // BEFORE changing targets, snapshot every line's current on-screen position
-        const currentSnapshot = [];
-        for (let i = 0; i < this.maxLineCount; i++) {
-            const snap = [];
-            for (let j = 0; j < this.maxPointsPerLine; j++) {
-                snap.push(this.currentPositions[i][j].clone());
-            }
-            currentSnapshot.push(snap);
-        }
+    // Add or replace a named choreography; throws if the preset is malformed
+    registerSwapPreset(name, preset) {
+        this.swapPresets[name] = RevealCore.compileSwapPreset(preset);
+    }
 
-        // Now set targets to new artwork
-        this.setArtworkTargets(newArtwork);
+    // Preset name (or an unregistered preset object) → compiled timeline
+    resolveSwapPreset(preset) {
+        if (typeof preset !== 'string') return RevealCore.compileSwapPreset(preset);
+        if (this.swapPresets[preset]) return this.swapPresets[preset];
+        console.warn(`Unknown swap preset '${preset}', using 'shatter'`);
+        return this.swapPresets.shatter;
+    }
 
-        // Snapshot new targets as final positions
-        this.swapToPositions = [];
-        for (let i = 0; i < this.maxLineCount; i++) {
-            const toLine = [];
-            for (let j = 0; j < this.maxPointsPerLine; j++) {
-                toLine.push(this.originalPositions[i][j].clone());
-            }
-            this.swapToPositions.push(toLine);
-        }
+    // Phase of the running swap at a raw 0→1 progress, and how far through it
+    swapPhaseAt(progress) {
+        return RevealCore.swapPhaseAt(this.swapTimeline.phases, progress);
+    }
 
-        // Map each vertebra line to its nearest parent logo line (by center distance)
-        this.lineParentMap = [];
-        for (let i = 0; i < this.maxLineCount; i++) {
-            if (i < vertebraPaths.length) {
-                const path = vertebraPaths[i];
-                let cx = 0, cy = 0;
-                for (const p of path) { cx += p.x; cy += p.y; }
-                cx /= path.length; cy /= path.length;
-                this.lineParentMap.push(this.findNearestLogoLine(cx, cy, logoPaths));
-            } else {
-                this.lineParentMap.push(0);
-            }
-        }
+    // Morph to the next registered artwork
+    swapArtwork(preset = this.config.swapPreset, origin = null) {
+        return this.swapTo(this.nextArtworkKey(), preset, origin);
+    }
 
-        // Count siblings per parent and assign sibling indices
-        const parentChildCounts = {};
-        const siblingIndex = [];
-        for (let i = 0; i < this.maxLineCount; i++) {
-            const p = this.lineParentMap[i];
-            if (!parentChildCounts[p]) parentChildCounts[p] = 0;
-            siblingIndex.push(parentChildCounts[p]);
-            parentChildCounts[p]++;
+    // Morph to a registered artwork. Returns false if the swap can't start.
+    swapTo(newArtwork, preset = this.config.swapPreset, origin = null) {
+        const interrupting = this.isSwapping;
+        if (interrupting) {
+            if (!this.config.swapInterrupt || this.swapDriver === 'scroll') return false;
+            if (newArtwork === this.swapHeading()) return false;
+        } else if (newArtwork === this.currentArtwork) {
+            return false;
         }
-        this.siblingIndex = siblingIndex;
-        this.parentChildCounts = parentChildCounts;
+        if (!this.artworks[newArtwork] || !this.artworks[newArtwork].svgPaths.length) return false;
+        if (interrupting && !this.swapHandoff && newArtwork === this.swapLeaving()) return this.reverseSwap();
 
-        // Compute split offsets: perpendicular fan-out from parent logo line direction
-        this.splitOffsets = [];
-        const splitDist = this.config.splitDistance;
+        this.ensureLineCapacity();
 
-        for (let i = 0; i < this.maxLineCount; i++) {
-            const parentIdx = this.lineParentMap[i];
-            if (parentIdx < logoPaths.length) {
-                const parentPath = logoPaths[parentIdx];
-                // Direction along the parent line
-                const first = parentPath[0];
-                const last = parentPath[parentPath.length - 1];
-                let dx = last.x - first.x;
-                let dy = last.y - first.y;
-                const len = Math.sqrt(dx * dx + dy * dy) || 1;
-                dx /= len; dy /= len;
-                // Perpendicular direction
-                const perpX = -dy;
-                const perpY = dx;
-
-                const siblings = parentChildCounts[parentIdx] || 1;
-                const k = siblingIndex[i];
-                // Fan out: -1 to 1 spread
-                const spread = siblings > 1 ? (k / (siblings - 1) - 0.5) * 2 : 0;
-                this.splitOffsets.push({
-                    x: perpX * spread * splitDist,
-                    y: perpY * spread * splitDist
-                });
-            } else {
-                this.splitOffsets.push({ x: 0, y: 0 });
-            }
-        }
+        if (this.isReducedMotion()) return this.startCrossfade(newArtwork);
 
-        // Build start positions based on direction
-        this.swapStartPositions = [];
+        const timeline = this.resolveSwapPreset(preset);
+        // The shader holds a GPU swap's on-screen state; bring it to the CPU first
+        if (interrupting && this.swapStyle === 'morph' && this.swapOnGpu) this.updateSwapLines();
+        const fromArtwork = interrupting ? this.swapHeading() : this.currentArtwork;
 
-        if (isLogoToVertebra) {
-            // LOGO → VERTEBRA: all 644 lines start stacked on their parent logo line
-            for (let i = 0; i < this.maxLineCount; i++) {
-                const startLine = [];
-                const parentIdx = this.lineParentMap[i];
-                if (parentIdx < oldPathCount) {
-                    const parentSnap = currentSnapshot[parentIdx];
-                    const parentActiveCount = Math.max(1, oldPaths[parentIdx].length);
-                    for (let j = 0; j < this.maxPointsPerLine; j++) {
-                        const t = parentActiveCount > 1 ? j / (this.maxPointsPerLine - 1) : 0;
-                        const srcIdx = Math.min(Math.floor(t * (parentActiveCount - 1)), parentActiveCount - 1);
-                        startLine.push(parentSnap[srcIdx].clone());
-                    }
-                } else {
-                    for (let j = 0; j < this.maxPointsPerLine; j++) {
-                        startLine.push(new THREE.Vector3(0, 0, 0));
-                    }
-                }
-                this.swapStartPositions.push(startLine);
-            }
+        const oldArtworkKey = this.currentArtwork;
+        const oldPaths = this.artworks[oldArtworkKey].svgPaths;
+        const newPaths = this.artworks[newArtwork].svgPaths;
+        const oldPathCount = oldPaths.length;
+        const newPathCount = newPaths.length;
 
-        } else {
-            // VERTEBRA → LOGO: all lines start from current on-screen positions
-            for (let i = 0; i < this.maxLineCount; i++) {
-                const startLine = [];
-                for (let j = 0; j < this.maxPointsPerLine; j++) {
-                    startLine.push(currentSnapshot[i][j].clone());
-                }
-                this.swapStartPositions.push(startLine);
-            }
+        // Merging moves lines between slots; the drawing is unchanged, only slots move
+        const pairing = RevealCore.pairArtworks(oldPaths, newPaths, this.maxLineCount);
+        const { isSplit, slotOrder } = pairing;
+        if (slotOrder) this.reorderLines(slotOrder);
+        this.swapSlotOrder = slotOrder;
+        // Old path shown in each slot after the reorder
+        const oldPathAt = i => slotOrder ? slotOrder[i] : i;
 
-            // Override final positions:
-            // Lines 0-54 (logo lines): target their OWN logo positions (already set by setArtworkTargets)
-            // Lines 55-643 (extra vertebra lines): collapse onto their parent logo lines
-            for (let i = newPathCount; i < this.maxLineCount; i++) {
-                const parentIdx = this.lineParentMap[i];
-                if (parentIdx < newPathCount) {
-                    const logoPath = logoPaths[parentIdx];
-                    const logoActiveCount = Math.max(1, logoPath.length);
-                    for (let j = 0; j < this.maxPointsPerLine; j++) {
-                        const t = logoActiveCount > 1 ? j / (this.maxPointsPerLine - 1) : 0;
-                        const srcIdx = Math.min(Math.floor(t * (logoActiveCount - 1)), logoActiveCount - 1);
-                        this.swapToPositions[i][j].set(logoPath[srcIdx].x, logoPath[srcIdx].y, logoPath[srcIdx].z || 0);
-                    }
-                }
-            }
-        }
+        // Interrupted: the new swap blends each line in from its on-screen color and opacity
+        const handoff = interrupting && this.swapStyle === 'morph'
+            ? this.lines.map(line => ({ opacity: line.opacity, accentMix: line.accentMix }))
+            : null;
+
+        // BEFORE changing targets, snapshot every line's current on-screen position
+        const currentSnapshot = this.currentPositions.map(line => line.map(p => ({ x: p.x, y: p.y, z: p.z })));
+
+        this.setArtworkTargets(newArtwork);
+        const poses = RevealCore.planSwapPoses(pairing, oldPaths, newPaths, currentSnapshot, {
+            lineCount: this.maxLineCount,
+            pointsPerLine: this.maxPointsPerLine,
+            splitDistance: this.config.splitDistance
+        });
+        this.swapStartPositions = poses.start;
+        this.swapToPositions = poses.target;
+        this.splitOffsets = poses.splitOffsets;
 
         // Make ALL lines visible and active during the swap
-        const maxActive = Math.max(oldPathCount, newPathCount);
+        const maxActive = poses.maxActive;
         for (let i = 0; i < maxActive; i++) {
             this.lines[i].visible = true;
             if (this.lines[i].activePointCount === 0) {
@@ -624,35 +2117,30 @@ class AballeRevealArt {
             }
         }
 
-        // Generate mid-positions: each line drifts to a random scattered position
-        this.shatteredSwapPositions = [];
-        const driftDist = this.config.disassembleDistance;
-
-        for (let i = 0; i < this.maxLineCount; i++) {
-            const shatterLine = [];
-            const angle = Math.random() * Math.PI * 2;
-            const lineDrift = driftDist * (0.3 + Math.random() * 1.0);
-            const driftX = Math.cos(angle) * lineDrift;
-            const driftY = Math.sin(angle) * lineDrift;
-            const driftZ = (Math.random() - 0.5) * 15;
-
-            for (let j = 0; j < this.maxPointsPerLine; j++) {
-                const s = this.swapStartPositions[i][j];
-                const e = this.swapToPositions[i][j];
-                shatterLine.push(new THREE.Vector3(
-                    (s.x + e.x) * 0.5 + driftX,
-                    (s.y + e.y) * 0.5 + driftY,
-                    driftZ
-                ));
+        // Retargeted: lines start from their on-screen shape; unused ones fade out in place
+        if (handoff) {
+            for (let i = 0; i < this.maxLineCount; i++) {
+                if (handoff[i].opacity <= 0) continue;
+                const collapsed = !isSplit && i >= newPathCount && oldPathAt(i) >= oldPathCount;
+                if (i >= maxActive || collapsed) {
+                    this.swapStartPositions[i] = currentSnapshot[i];
+                    this.swapToPositions[i] = currentSnapshot[i].map(p => ({ ...p }));
+                } else if (isSplit) {
+                    const count = newPaths[i].length;
+                    const target = RevealCore.resamplePath(newPaths[i], count);
+                    const onScreen = currentSnapshot[i].slice(0, this.lines[i].activePointCount || this.maxPointsPerLine);
+                    const start = RevealCore.resamplePath(onScreen, count);
+                    this.swapStartPositions[i] = RevealCore.padPath(RevealCore.alignPath(start, target), this.maxPointsPerLine);
+                }
             }
-            this.shatteredSwapPositions.push(shatterLine);
         }
 
+        this.buildDisplacedPose(timeline.displacement);
+
         this.swapOldPathCount = oldPathCount;
         this.swapNewPathCount = newPathCount;
-        this.swapIsLogoToVertebra = isLogoToVertebra;
+        this.swapIsSplit = isSplit;
         this.swapMaxActive = maxActive;
-        this.swapLogoPathCount = logoPaths.length;
 
         // Initialize all lines to their start positions immediately
         for (let i = 0; i < this.maxLineCount; i++) {
@@ -660,210 +2148,521 @@ class AballeRevealArt {
                 this.currentPositions[i][j].copy(this.swapStartPositions[i][j]);
             }
             this.updateLineGeometry(i);
-            if (i < maxActive) {
+            if (handoff) {
+                this.lines[i].opacity = handoff[i].opacity;
+            } else if (i < maxActive) {
                 // Keep current opacity for lines that were visible in the old artwork
                 const wasVisible = i < oldPathCount;
-                this.lines[i].material.opacity = wasVisible ? 0.8 : 0;
+                this.lines[i].opacity = wasVisible ? 0.8 : 0;
             } else {
-                this.lines[i].material.opacity = 0;
+                this.lines[i].opacity = 0;
             }
         }
 
+        this.swapTimeline = timeline;
+        this.swapPoses = [this.swapStartPositions, this.shatteredSwapPositions, this.swapToPositions];
+        this.swapState = this.swapPhaseAt(0);
+        this.swapPhaseIndex = -1;
+        this.swapDelays = this.computeLineDelays(this.swapStartPositions, maxActive, this.staggerFocus(origin));
+        this.swapStyle = 'morph';
+        this.swapPoseArtworks = { from: oldArtworkKey, to: newArtwork };
+        this.swapHandoff = handoff;
+        // Staggered and retargeted swaps stay on the CPU
+        this.swapOnGpu = this.config.gpuAnimation && !this.swapDelays && !handoff;
+        if (this.swapOnGpu) this.uploadSwapAttributes();
+
+        this.swapFromArtwork = fromArtwork;
+        this.swapId++;
         this.currentArtwork = newArtwork;
         this.isSwapping = true;
         this.swapProgress = 0;
+        this.swapDirection = 1;
+        this.swapVelocity = 1;
+        this.swapDriver = 'time';
+        this.swapPhase = null;
+        this.emit('swapstart', { from: fromArtwork, to: newArtwork });
+        return true;
     }
 
-    // Hero speed curve: maps linear time to fast→slow→fast
-    heroSpeedCurve(t) {
-        if (t < 0.12) {
-            return (t / 0.12) * 0.3;
-        } else if (t < 0.65) {
-            return 0.3 + ((t - 0.12) / 0.53) * 0.3;
-        } else {
-            return 0.6 + ((t - 0.65) / 0.35) * 0.4;
+    // Artwork the running swap is heading for, and the one it is leaving
+    swapHeading() {
+        return this.swapDirection > 0 ? this.currentArtwork : this.swapFromArtwork;
+    }
+
+    swapLeaving() {
+        return this.swapDirection > 0 ? this.swapFromArtwork : this.currentArtwork;
+    }
+
+    // Run the current swap backwards from where it is
+    reverseSwap() {
+        if (!this.isSwapping || this.swapDriver === 'scroll') return false;
+        // A retargeted swap started mid-flight, not from its first artwork at rest: morph back to it
+        if (this.swapHandoff) return this.swapTo(this.swapLeaving());
+        this.swapDirection = -this.swapDirection;
+        this.emit('swapreverse', { to: this.swapHeading() });
+        return true;
+    }
+
+    // A click mid-swap, per config.swapInterrupt
+    interruptSwap(origin = null) {
+        const mode = this.config.swapInterrupt;
+        if (mode === 'reverse') return this.reverseSwap();
+        if (mode === 'retarget') {
+            return this.swapTo(this.nextArtworkKey(this.swapHeading()), this.config.swapPreset, origin);
         }
+        return false;
     }
 
-    updateSwap(dt) {
-        if (!this.isSwapping) return;
+    // Slot i takes the line (and its positions) from slot order[i]
+    reorderLines(order) {
+        const lines = order.map(i => this.lines[i]);
+        const positions = order.map(i => this.currentPositions[i]);
+        const velocities = order.map(i => this.velocities[i]);
+        for (let i = 0; i < order.length; i++) {
+            this.lines[i] = lines[i];
+            this.lines[i].drawn = null;
+            this.currentPositions[i] = positions[i];
+            this.velocities[i] = velocities[i];
+        }
+    }
 
-        this.swapProgress += dt / this.config.swapDuration;
-        if (this.swapProgress >= 1) {
-            this.swapProgress = 1;
-            this.isSwapping = false;
+    // Mid-air pose for a preset's `displacement`
+    buildDisplacedPose(style) {
+        this.shatteredSwapPositions = RevealCore.displacedPose(this.swapStartPositions, this.swapToPositions,
+            style, this.config.disassembleDistance, this.rng.swap);
+    }
+
+    // Reduced-motion swap: fade out, switch targets, fade in
+    startCrossfade(newArtwork) {
+        let progress = 0;
+        let shown = this.currentArtwork;
+        if (this.isSwapping && this.swapStyle === 'fade') {
+            shown = this.crossfadeShown;
+            const t = this.swapProgress;
+            progress = t < 0.5 ? t : 1 - t;
+        }
+        this.swapId++;
+        this.swapStyle = 'fade';
+        this.swapOnGpu = false;
+        this.swapSlotOrder = null;
+        this.swapHandoff = null;
+        this.swapFromArtwork = shown;
+        this.crossfadeShown = shown;
+        this.currentArtwork = newArtwork;
+        this.isSwapping = true;
+        this.swapProgress = progress;
+        this.swapDirection = 1;
+        this.swapVelocity = 1;
+        this.swapDriver = 'time';
+        this.swapPhase = null;
+        this.emit('swapstart', { from: shown, to: newArtwork });
+        return true;
+    }
 
-            // Re-apply final artwork targets to fix visible/activePointCount
-            this.setArtworkTargets(this.currentArtwork);
+    updateCrossfade() {
+        const t = this.swapProgress;
 
-            // Snap to final positions and set correct opacity/color
+        // Invisible at the midpoint: jump straight to the other artwork (either way)
+        const show = t >= 0.5 ? this.currentArtwork : this.swapFromArtwork;
+        if (show !== this.crossfadeShown) {
+            this.setArtworkTargets(show);
+            this.applyLineStyles(show);
             for (let i = 0; i < this.maxLineCount; i++) {
                 for (let j = 0; j < this.maxPointsPerLine; j++) {
                     this.currentPositions[i][j].copy(this.originalPositions[i][j]);
+                    this.velocities[i][j].set(0, 0, 0);
                 }
                 this.updateLineGeometry(i);
-                this.lines[i].material.opacity = this.lines[i].visible ? 0.8 : 0;
-                this.lines[i].material.color.copy(this.config.baseColor);
-                this.lines[i].baseOpacity = this.lines[i].visible ? 0.8 : 0;
             }
+            this.crossfadeShown = show;
+        }
+
+        const fade = t < 0.5 ? 1 - t * 2 : (t - 0.5) * 2;
+        for (let i = 0; i < this.maxLineCount; i++) {
+            this.lines[i].opacity = this.lines[i].visible ? 0.8 * fade : 0;
+            this.lines[i].accentMix = 0;
+        }
+    }
+
+    updateSwap(dt) {
+        if (!this.isSwapping) return;
+
+        const duration = this.swapStyle === 'fade' ? this.config.crossfadeDuration : this.config.swapDuration;
+        if (this.swapDriver === 'time') {
+            const next = RevealCore.advanceSwap(this.swapProgress, this.swapVelocity, this.swapDirection, dt, duration);
+            this.swapProgress = next.progress;
+            this.swapVelocity = next.velocity;
+        }
+        if (this.swapProgress >= 1 && this.swapDirection > 0) {
+            this.swapProgress = 1;
+            this.finishSwap(false);
+            return;
+        }
+        if (this.swapProgress <= 0 && (this.swapDriver === 'scroll' || this.swapDirection < 0)) {
+            // Scrolled or reversed all the way back: settle on the artwork the morph started from
+            this.swapProgress = 0;
+            this.currentArtwork = this.swapFromArtwork;
+            this.finishSwap(true);
+            return;
+        }
+
+        if (this.swapStyle === 'fade') {
+            this.updateCrossfade();
+            return;
+        }
+
+        // Phase events and the restyle follow the first line to move (either way, when scrolled)
+        const state = this.swapPhaseAt(this.staggeredProgress(this.swapProgress, 0, this.swapDelays));
+        this.swapState = state;
+
+        if (state.index !== this.swapPhaseIndex) {
+            const previous = this.swapPhaseIndex;
+            this.swapPhaseIndex = state.index;
+            this.swapPhase = state.phase.name;
+            // Lines take on the new artwork's colors and widths as they head for it
+            const restyleAt = this.swapTimeline.restyleAt;
+            if (state.index >= restyleAt && previous < restyleAt) this.applyLineStyles(this.currentArtwork);
+            if (state.index < restyleAt && previous >= restyleAt) this.applyLineStyles(this.swapFromArtwork);
+            this.emit('swapphase', { phase: state.phase.name });
+        }
+
+        // GPU mode: the shader does positions, opacity and accent
+        if (this.swapOnGpu) {
+            for (const line of this.lines) line.accentMix = 0;
+            return;
+        }
+        this.updateSwapLines();
+    }
+
+    // Every line's position, accent and opacity at the current swap progress
+    updateSwapLines() {
+        const phaseCount = this.swapTimeline.phases.length;
+        const swap = {
+            poses: this.swapPoses,
+            splitOffsets: this.splitOffsets,
+            isSplit: this.swapIsSplit,
+            drift: this.config.disassembleDrift
+        };
+        // Retargeted: ease from the interrupted swap's look over the first stretch
+        const handoff = this.swapHandoff;
+        const blend = handoff ? RevealCore.easeInOutCubic(Math.min(1, this.swapProgress / 0.15)) : 1;
+
+        for (let i = 0; i < this.maxLineCount; i++) {
+            // Staggered lines can each be in a different phase
+            const { phase, index, t } = this.swapDelays
+                ? this.swapPhaseAt(this.staggeredProgress(this.swapProgress, this.swapDelays[i], this.swapDelays))
+                : this.swapState;
+            const e = phase.ease(t);
+            for (let j = 0; j < this.maxPointsPerLine; j++) {
+                RevealCore.swapPosition(this.currentPositions[i][j], swap, i, j, phase, t, e);
+            }
+            this.updateLineGeometry(i);
+
+            const line = this.lines[i];
+            line.accentMix = RevealCore.swapAccent(phase, t);
+            line.opacity = RevealCore.swapOpacity(phase, index, phaseCount, t,
+                i < this.swapOldPathCount, i < this.swapNewPathCount);
+            if (blend < 1) {
+                line.opacity = handoff[i].opacity + (line.opacity - handoff[i].opacity) * blend;
+                line.accentMix = handoff[i].accentMix + (line.accentMix - handoff[i].accentMix) * blend;
+            }
+        }
+    }
+
+    // Settle on this.currentArtwork: exact targets, rest opacity and colors
+    finishSwap(reversed) {
+        this.isSwapping = false;
+        this.swapDriver = 'time';
+        this.swapPhase = null;
+        this.swapHandoff = null;
+        this.swapDirection = 1;
+        this.swapVelocity = 1;
+
+        // Reversed merge: put the lines back in the slots they started in
+        if (reversed && this.swapSlotOrder) {
+            const inverse = [];
+            this.swapSlotOrder.forEach((from, i) => { inverse[from] = i; });
+            this.reorderLines(inverse);
+        }
+
+        // Re-apply final artwork targets to fix visible/activePointCount
+        this.setArtworkTargets(this.currentArtwork);
+        this.applyLineStyles(this.currentArtwork);
+
+        // Snap to final positions and set correct opacity/color
+        for (let i = 0; i < this.maxLineCount; i++) {
+            for (let j = 0; j < this.maxPointsPerLine; j++) {
+                this.currentPositions[i][j].copy(this.originalPositions[i][j]);
+            }
+            this.updateLineGeometry(i);
+            this.lines[i].opacity = this.lines[i].visible ? 0.8 : 0;
+            this.lines[i].accentMix = 0;
+            this.lines[i].baseOpacity = this.lines[i].visible ? 0.8 : 0;
+        }
+        this.gpuRestDirty = true;
+        this.emit('swapend', { artwork: this.currentArtwork, reversed });
+    }
+
+    // ---- Scroll-driven morph (config.scrollMorph) ----
+
+    // How far the page has scrolled past the hero, through config.scrollMorphRange, as 0→1
+    scrollProgress() {
+        const hero = this.container.closest('.hero') || this.container;
+        const rect = hero.getBoundingClientRect();
+        const scrolled = rect.height > 0 ? -rect.top / rect.height : 0;
+        const [start, end] = this.config.scrollMorphRange;
+        return Math.min(1, Math.max(0, (scrolled - start) / Math.max(end - start, 1e-3)));
+    }
+
+    // Scroll position → swap progress (scrolling back up plays it in reverse)
+    updateScrollMorph() {
+        if (!this.config.scrollMorph || !this.autoRevealComplete || this.isReducedMotion()) {
+            // Switched off mid-morph: let it finish on its own
+            if (this.swapDriver === 'scroll') this.swapDriver = 'time';
+            return;
+        }
+        const progress = this.scrollProgress();
+        const scrolled = progress !== this.scrollMorphProgress;
+        this.scrollMorphProgress = progress;
+
+        if (this.isSwapping) {
+            if (this.swapDriver === 'scroll') this.swapProgress = progress;
+            return;
+        }
+
+        const last = this.scrollSwap;
+        const resumable = last && last.id === this.swapId &&
+            (this.currentArtwork === last.from || this.currentArtwork === last.to);
+        if (resumable) {
+            // Settled at one end; move only once the scroll leaves it
+            const atEnd = this.currentArtwork === last.to ? 1 : 0;
+            if (progress !== atEnd) this.resumeScrollSwap(progress);
             return;
         }
+        // Not on a page left scrolled down after a click swap: only once it scrolls again
+        if (progress <= 0 || !scrolled) return;
+
+        const to = this.config.scrollMorphTo || this.nextArtworkKey();
+        const from = this.currentArtwork;
+        if (!this.swapTo(to, this.config.scrollMorphPreset || this.config.swapPreset)) return;
+        this.swapDriver = 'scroll';
+        this.swapProgress = progress;
+        this.scrollSwap = { from, to, id: this.swapId };
+    }
+
+    // Re-open the last scroll morph: its poses are still in the swap arrays
+    resumeScrollSwap(progress) {
+        if (this.currentArtwork === this.scrollSwap.from && this.swapSlotOrder) this.reorderLines(this.swapSlotOrder);
+        const maxActive = this.swapMaxActive;
+        for (let i = 0; i < maxActive; i++) {
+            this.lines[i].visible = true;
+            if (this.lines[i].activePointCount === 0) {
+                this.lines[i].activePointCount = this.maxPointsPerLine;
+            }
+        }
+        this.currentArtwork = this.scrollSwap.to;
+        this.swapStyle = 'morph';
+        this.swapDirection = 1;
+        this.swapVelocity = 1;
+        this.swapPhaseIndex = -1;
+        this.swapPhase = null;
+        this.swapProgress = progress;
+        this.swapDriver = 'scroll';
+        this.isSwapping = true;
+        this.emit('swapstart', { from: this.scrollSwap.from, to: this.scrollSwap.to });
+    }
+
+    updateLineGeometry(i) {
+        const positions = this.lineBatch.positions.array;
+        const offset = i * this.maxPointsPerLine * 3;
+        for (let j = 0; j < this.maxPointsPerLine; j++) {
+            positions[offset + j * 3] = this.currentPositions[i][j].x;
+            positions[offset + j * 3 + 1] = this.currentPositions[i][j].y;
+            positions[offset + j * 3 + 2] = this.currentPositions[i][j].z;
+        }
+        this.lineBatch.positions.needsUpdate = true;
+    }
+
+    // Copy each line's style into the per-point buffers (only lines that changed)
+    syncLineStyles() {
+        const colors = this.lineBatch.colors.array;
+        const widths = this.lineBatch.widths.array;
+        const dashes = this.lineBatch.dashes.array;
+        const distances = this.lineBatch.distances.array;
+        const pointsPerLine = this.maxPointsPerLine;
+        const accent = this.palette.accent;
+        const color = this.scratchColor;
+        const version = this.styleVersion;
+        // Idle 'glow': a lit stretch running along every stroke, each at its own offset
+        const glow = this.idleGlow;
+        const glowHead = this.time * this.config.idleGlowSpeed;
+        const glowLength = Math.max(this.config.idleGlowLength, 1e-3);
+        let changed = false;
+
+        for (let i = 0; i < this.maxLineCount; i++) {
+            const line = this.lines[i];
+            const { accentMix: m, opacity: a, width: w, ramp, dash } = line;
+            const drawn = line.drawn;
+            if (drawn && !glow && !drawn.glow && drawn.m === m && drawn.a === a && drawn.w === w &&
+                drawn.version === version) continue;
+
+            const base = i * pointsPerLine;
+            const last = Math.max(line.activePointCount - 1, 1);
+            const head = glowHead + i * 0.618;
+            color.copy(line.baseColor).lerp(accent, m);
+            for (let j = 0; j < pointsPerLine; j++) {
+                let lit = 0;
+                if (glow) {
+                    const behind = head - Math.min(j, last) / last;
+                    const d = behind - Math.floor(behind);
+                    lit = d < glowLength ? (1 - d / glowLength) * glow : 0;
+                }
+                if (ramp || lit) {
+                    color.copy(line.baseColor).lerp(line.rampColor, ramp ? ramp[j] || 0 : 0).lerp(accent, Math.max(m, lit));
+                }
+                colors[(base + j) * 4] = color.r;
+                colors[(base + j) * 4 + 1] = color.g;
+                colors[(base + j) * 4 + 2] = color.b;
+                colors[(base + j) * 4 + 3] = a > 0 ? a + lit * 0.2 : 0;
+                widths[base + j] = w;
+                for (let k = 0; k < 4; k++) dashes[(base + j) * 4 + k] = dash ? dash.pattern[k] : 0;
+                distances[base + j] = dash ? dash.distances[j] : 0;
+                if (!ramp && lit) color.copy(line.baseColor).lerp(accent, m);
+            }
+            line.drawn = { m, a, w, version, glow: glow > 0 };
+            changed = true;
+        }
+
+        if (changed) {
+            this.lineBatch.colors.needsUpdate = true;
+            this.lineBatch.widths.needsUpdate = true;
+            this.lineBatch.dashes.needsUpdate = true;
+            this.lineBatch.distances.needsUpdate = true;
+        }
+    }
 
-        // Apply hero speed curve
-        const rawT = this.swapProgress;
-        const p = this.heroSpeedCurve(rawT);
+    // ---- Fills ----
 
-        // Phase boundaries (in warped progress p):
-        const breakEnd = 0.30;
-        const driftEnd = 0.60;
-        const driftAmount = this.config.disassembleDrift;
-        const isL2V = this.swapIsLogoToVertebra;
+    // Filled shapes (config.fills), shown only while the lines are at rest
+    updateFills(dt) {
+        const show = this.config.fills && this.autoRevealComplete && !this.isSwapping;
 
-        for (let i = 0; i < this.maxLineCount; i++) {
-            for (let j = 0; j < this.maxPointsPerLine; j++) {
-                const start = this.swapStartPositions[i][j];
-                const scattered = this.shatteredSwapPositions[i][j];
-                const target = this.swapToPositions[i][j];
-
-                if (p < breakEnd) {
-                    // PHASE 1: BREAK
-                    const bp = p / breakEnd; // 0→1 within break phase
-
-                    if (isL2V) {
-                        // LOGO→VERTEBRA: visible split — children fan out from parent, then drift
-                        const splitOffset = this.splitOffsets[i];
-
-                        // Sub-stage A: SPLIT (0→50% of break) — fan out perpendicular
-                        const splitT = Math.min(bp / 0.5, 1);
-                        const splitEase = 1 - Math.pow(1 - splitT, 3); // ease-out cubic
-
-                        // Sub-stage B: DRIFT AWAY (30%→100% of break) — blend toward shattered
-                        const driftT = Math.max(0, (bp - 0.3) / 0.7);
-                        const driftEase = 1 - Math.pow(1 - driftT, 3); // ease-out cubic
-
-                        // Base: parent position + split offset
-                        const splitX = start.x + splitOffset.x * splitEase;
-                        const splitY = start.y + splitOffset.y * splitEase;
-                        const splitZ = start.z;
-
-                        // Blend from split position toward shattered position
-                        this.currentPositions[i][j].x = splitX + (scattered.x - splitX) * driftEase;
-                        this.currentPositions[i][j].y = splitY + (scattered.y - splitY) * driftEase;
-                        this.currentPositions[i][j].z = splitZ + (scattered.z - splitZ) * driftEase;
-                    } else {
-                        // VERTEBRA→LOGO: normal break — snap outward
-                        const ease = 1 - Math.pow(1 - bp, 3);
-                        this.currentPositions[i][j].x = start.x + (scattered.x - start.x) * ease;
-                        this.currentPositions[i][j].y = start.y + (scattered.y - start.y) * ease;
-                        this.currentPositions[i][j].z = start.z + (scattered.z - start.z) * ease;
-                    }
+        // (Re)build only while invisible, so a fading mesh keeps its old shape
+        if (show && this.fillAmount === 0 &&
+            (!this.fillMesh || this.fillMesh.userData.artwork !== this.currentArtwork)) {
+            this.buildFills(this.currentArtwork);
+        }
 
-                } else if (p < driftEnd) {
-                    // PHASE 2: SLOW-MO DRIFT — pieces floating, subtle breathing
-                    const t = (p - breakEnd) / (driftEnd - breakEnd);
-                    // Envelope ensures drift offsets are 0 at boundaries (smooth transitions)
-                    const envelope = Math.sin(t * Math.PI);
-                    const breathe = Math.sin(t * Math.PI * 2.0) * driftAmount * envelope;
-                    const sway = Math.cos(t * Math.PI * 1.5) * driftAmount * 0.5 * envelope;
-                    this.currentPositions[i][j].x = scattered.x + Math.sin(i * 0.37 + j * 0.13) * breathe;
-                    this.currentPositions[i][j].y = scattered.y + Math.cos(i * 0.29 + j * 0.17) * sway;
-                    this.currentPositions[i][j].z = scattered.z + envelope * 5;
+        const step = dt / this.fillFadeDuration;
+        this.fillAmount = show ? Math.min(1, this.fillAmount + step) : Math.max(0, this.fillAmount - step);
+        if (!this.fillMesh) return;
 
-                } else {
-                    // PHASE 3: REASSEMBLE
-                    const rp = (p - driftEnd) / (1 - driftEnd); // 0→1 within reassemble
-
-                    if (!isL2V) {
-                        // VERTEBRA→LOGO: converging merge — siblings collapse together
-                        const splitOffset = this.splitOffsets[i];
-                        const ease = rp < 0.5
-                            ? 4 * rp * rp * rp
-                            : 1 - Math.pow(-2 * rp + 2, 3) / 2;
-
-                        // Split offset shrinks throughout the entire reassemble phase
-                        // Use ease-in-out so it starts gently, accelerates, then finishes smoothly
-                        const mergeEase = rp < 0.5
-                            ? 2 * rp * rp
-                            : 1 - Math.pow(-2 * rp + 2, 2) / 2;
-
-                        // Target with diminishing split offset (shrinks from full → 0)
-                        const mergedX = target.x + splitOffset.x * (1 - mergeEase);
-                        const mergedY = target.y + splitOffset.y * (1 - mergeEase);
-
-                        this.currentPositions[i][j].x = scattered.x + (mergedX - scattered.x) * ease;
-                        this.currentPositions[i][j].y = scattered.y + (mergedY - scattered.y) * ease;
-                        this.currentPositions[i][j].z = scattered.z + (target.z - scattered.z) * ease;
-                    } else {
-                        // LOGO→VERTEBRA: normal reassemble into vertebra shape
-                        const ease = rp < 0.5
-                            ? 4 * rp * rp * rp
-                            : 1 - Math.pow(-2 * rp + 2, 3) / 2;
-                        this.currentPositions[i][j].x = scattered.x + (target.x - scattered.x) * ease;
-                        this.currentPositions[i][j].y = scattered.y + (target.y - scattered.y) * ease;
-                        this.currentPositions[i][j].z = scattered.z + (target.z - scattered.z) * ease;
-                    }
-                }
-            }
+        this.fillMesh.visible = this.fillAmount > 0;
+        this.fillMesh.material.opacity = this.fillAmount * this.config.fillOpacity;
 
-            this.updateLineGeometry(i);
+        // Breathe with the lines
+        const pulse = this.isPulseActive()
+            ? Math.sin(this.time * this.config.pulseSpeed) * this.config.pulseAmount
+            : 0;
+        this.fillMesh.scale.set(1 + pulse, 1 + pulse, Math.max(this.depth, 1e-3));   // z: depth layers
+    }
 
-            // Color: white → gold on break, hold gold in drift, gold → white on reassemble
-            let colorMix = 0;
-            if (p < breakEnd) {
-                colorMix = (p / breakEnd) * 0.7;
-            } else if (p < driftEnd) {
-                colorMix = 0.7;
-            } else {
-                const t = (p - driftEnd) / (1 - driftEnd);
-                colorMix = 0.7 * (1 - t);
-            }
-            this.lines[i].material.color.copy(this.config.baseColor).lerp(this.config.accentColor, colorMix);
-
-            // Opacity
-            if (i < this.swapMaxActive) {
-                // Determine if this line existed in the old artwork
-                const wasOld = i < this.swapOldPathCount;
-                const isNew = i < this.swapNewPathCount;
-
-                if (p < breakEnd) {
-                    const t = p / breakEnd;
-                    if (wasOld) {
-                        // Existing lines: hold at 0.8, gently shift to 0.7
-                        this.lines[i].material.opacity = 0.8 - t * 0.1;
-                    } else {
-                        // New lines: fade in from 0 to 0.7 during break
-                        this.lines[i].material.opacity = t * 0.7;
-                    }
-                } else if (p < driftEnd) {
-                    this.lines[i].material.opacity = 0.7;
-                } else {
-                    const rp = (p - driftEnd) / (1 - driftEnd);
-                    // Lines that won't exist in the new artwork: fade out
-                    if (!isNew) {
-                        const fadeT = Math.max(0, (rp - 0.4) / 0.6);
-                        this.lines[i].material.opacity = 0.7 * (1 - fadeT);
-                    } else {
-                        this.lines[i].material.opacity = 0.7 + rp * 0.1;
+    buildFills(artworkKey) {
+        const artwork = this.artworks[artworkKey];
+        const positions = [];
+        const colors = [];
+        const color = new THREE.Color();
+
+        // z is the path's depth layer; updateParallax() scales it to parallaxDepth
+        const last = Math.max(artwork.svgPaths.length - 1, 1);
+        artwork.svgPaths.forEach((path, i) => {
+            const style = artwork.styles[i];
+            if (!style || !style.fill) return;
+            const layer = i / last - 0.5;
+            color.set(style.fill);
+            if (this.config.lineColors !== 'source' || !this.isReadable(color)) color.copy(this.themePalette(artworkKey).line[0]);
+
+            for (const { contour, holes } of this.fillRegions(path)) {
+                const points = contour.concat(...holes);
+                for (const face of THREE.ShapeUtils.triangulateShape(contour, holes)) {
+                    for (const k of face) {
+                        positions.push(points[k].x, points[k].y, layer);
+                        colors.push(color.r, color.g, color.b);
                     }
                 }
-            } else {
-                this.lines[i].material.opacity = 0;
             }
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        if (this.fillMesh) {
+            this.fillMesh.geometry.dispose();
+            this.fillMesh.geometry = geometry;
+        } else {
+            const material = new THREE.MeshBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: 0,
+                depthWrite: false,
+                side: THREE.DoubleSide
+            });
+            this.fillMesh = new THREE.Mesh(geometry, material);
+            this.fillMesh.renderOrder = -1;    // under the lines
+            this.artGroup.add(this.fillMesh);
         }
+        this.fillMesh.userData.artwork = artworkKey;
     }
 
-    easeInOutCubic(t) {
-        return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
-    }
+    // Split a sampled path back into contours; ones inside the largest are its holes
+    fillRegions(path) {
+        const steps = [];
+        for (let k = 1; k < path.length; k++) {
+            steps.push(Math.hypot(path[k].x - path[k - 1].x, path[k].y - path[k - 1].y));
+        }
+        const spacing = steps.slice().sort((a, b) => a - b)[steps.length >> 1] || 0;
+
+        const contours = [];
+        let contour = [new THREE.Vector2(path[0].x, path[0].y)];
+        for (let k = 1; k < path.length; k++) {
+            if (steps[k - 1] > spacing * 3) {
+                contours.push(contour);
+                contour = [];
+            }
+            contour.push(new THREE.Vector2(path[k].x, path[k].y));
+        }
+        contours.push(contour);
+
+        const shapes = contours.filter(c => c.length >= 3);
+        if (!shapes.length) return [];
+
+        const area = c => Math.abs(THREE.ShapeUtils.area(c));
+        const outer = shapes.reduce((a, b) => (area(b) > area(a) ? b : a));
+        const inside = (point, polygon) => {
+            let hit = false;
+            for (let a = 0, b = polygon.length - 1; a < polygon.length; b = a++) {
+                const pa = polygon[a], pb = polygon[b];
+                if ((pa.y > point.y) !== (pb.y > point.y) &&
+                    point.x < (pb.x - pa.x) * (point.y - pa.y) / (pb.y - pa.y) + pa.x) hit = !hit;
+            }
+            return hit;
+        };
 
-    updateLineGeometry(i) {
-        const positions = this.lines[i].geometry.attributes.position.array;
-        for (let j = 0; j < this.maxPointsPerLine; j++) {
-            positions[j * 3] = this.currentPositions[i][j].x;
-            positions[j * 3 + 1] = this.currentPositions[i][j].y;
-            positions[j * 3 + 2] = this.currentPositions[i][j].z;
+        const holes = shapes.filter(c => c !== outer && inside(c[0], outer));
+        const regions = [{ contour: outer, holes }];
+        for (const c of shapes) {
+            if (c !== outer && !holes.includes(c)) regions.push({ contour: c, holes: [] });
         }
-        this.lines[i].geometry.attributes.position.needsUpdate = true;
+        return regions;
+    }
+
+    disposeFills() {
+        if (!this.fillMesh) return;
+        this.artGroup.remove(this.fillMesh);
+        this.fillMesh.geometry.dispose();
+        this.fillMesh.material.dispose();
+        this.fillMesh = null;
     }
 
     // ---- Energy lines ----
@@ -873,11 +2672,11 @@ class AballeRevealArt {
             const points = [new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, 0)];
             const geometry = new THREE.BufferGeometry().setFromPoints(points);
             const material = new THREE.LineBasicMaterial({
-                color: 0xffd700, transparent: true, opacity: 0,
+                color: this.palette.energy, transparent: true, opacity: 0,
                 blending: THREE.AdditiveBlending
             });
             const line = new THREE.Line(geometry, material);
-            this.scene.add(line);
+            this.artGroup.add(line);
             this.energyLines.push({
                 line, geometry, material,
                 targetOpacity: 0, currentOpacity: 0,
@@ -886,11 +2685,13 @@ class AballeRevealArt {
         }
     }
 
-    updateEnergyLines() {
+    updateEnergyLines(dt) {
         const maxDist = Math.sqrt(this.width * this.width + this.height * this.height) / 2;
+        // 10% per 60Hz frame, independent of refresh rate
+        const fade = 1 - Math.pow(0.9, dt * 60);
         for (let i = 0; i < this.energyLines.length; i++) {
             const el = this.energyLines[i];
-            if (this.isInteracting && el.active && this.autoRevealComplete) {
+            if (this.isInteracting && el.active && this.autoRevealComplete && !this.ambientPaused) {
                 el.targetOpacity = this.config.energyLineOpacity;
                 const positions = el.geometry.attributes.position.array;
                 positions[0] = this.mouseWorld.x;
@@ -903,16 +2704,25 @@ class AballeRevealArt {
             } else {
                 el.targetOpacity = 0;
             }
-            el.currentOpacity += (el.targetOpacity - el.currentOpacity) * 0.1;
+            el.currentOpacity += (el.targetOpacity - el.currentOpacity) * fade;
             el.material.opacity = el.currentOpacity;
         }
     }
 
+    disposeEnergyLines() {
+        for (const el of this.energyLines) {
+            this.artGroup.remove(el.line);
+            el.geometry.dispose();
+            el.material.dispose();
+        }
+        this.energyLines = [];
+    }
+
     activateEnergyLines() {
         const spread = Math.PI * 2 / this.config.energyLineCount;
         for (let i = 0; i < this.config.energyLineCount; i++) {
             const base = (i / this.config.energyLineCount) * Math.PI * 2;
-            this.energyLines[i].angle = base + (Math.random() - 0.5) * spread * 0.6;
+            this.energyLines[i].angle = base + (this.rng.energy() - 0.5) * spread * 0.6;
             this.energyLines[i].active = true;
         }
     }
@@ -923,78 +2733,367 @@ class AballeRevealArt {
 
     // ---- Events ----
 
+    // addEventListener that destroy() knows how to undo
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+
     setupEventListeners() {
-        window.addEventListener('mousemove', (e) => this.onPointerMove(e.clientX, e.clientY));
-        window.addEventListener('mouseenter', () => {
+        this.listen(window, 'mousemove', (e) => this.onMouseMove(e));
+        this.listen(window, 'mouseenter', () => {
+            if (this.isEmulatedMouse()) return;
             this.isInteracting = true;
             this.activateEnergyLines();
         });
-        window.addEventListener('mouseleave', () => {
-            this.isInteracting = false;
-            this.mouseWorld.set(9999, 9999, 0);
-            this.deactivateEnergyLines();
+        this.listen(window, 'mouseleave', () => this.onPointerEnd('mouse'));
+        this.listen(this.renderer.domElement, 'mousedown', (e) => {
+            // Taps already rippled on touchstart
+            if (!this.isEmulatedMouse()) this.addRipple(e.clientX, e.clientY);
         });
 
-        window.addEventListener('touchstart', (e) => {
-            this.isInteracting = true;
-            this.activateEnergyLines();
-            if (e.touches.length > 0) this.onPointerMove(e.touches[0].clientX, e.touches[0].clientY);
-        }, { passive: true });
-        window.addEventListener('touchmove', (e) => {
-            if (e.touches.length > 0) this.onPointerMove(e.touches[0].clientX, e.touches[0].clientY);
-        }, { passive: true });
-        window.addEventListener('touchend', () => {
-            this.isInteracting = false;
-            this.mouseWorld.set(9999, 9999, 0);
-            this.deactivateEnergyLines();
+        this.listen(window, 'touchstart', (e) => this.onTouchStart(e), { passive: true });
+        this.listen(window, 'touchmove', (e) => this.onTouchMove(e), { passive: true });
+        this.listen(window, 'touchend', (e) => this.onTouchEnd(e));
+        this.listen(window, 'touchcancel', (e) => this.onTouchEnd(e));
+
+        // Click to swap (only after auto-reveal is complete), staggered from the click
+        this.listen(this.renderer.domElement, 'click', (e) => {
+            // A tap is the gesture iOS needs before it shares the tilt sensor
+            if (this.usesOrientation() && this.orientationPermission === 'prompt' &&
+                this.clock.now() - this.lastTouchTime < 1000) {
+                this.requestOrientationPermission();
+            }
+            this.activate(this.clientToWorld(e.clientX, e.clientY));
         });
+        this.a11y = new HeroAccessibility(this, this.renderer.domElement);
+        this.setupMotionToggle();
 
-        // Click to swap (only after auto-reveal is complete)
-        this.renderer.domElement.addEventListener('click', () => {
-            if (this.autoRevealComplete) this.swapArtwork();
-        });
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => this.onResize());
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.listen(window, 'resize', () => this.onResize());
+        }
+        this.setupOrientation();
+        this.listen(window, 'keydown', () => this.noteInput());
+        this.listen(window, 'wheel', () => this.noteInput(), { passive: true });
+        if (this.colorSchemeQuery.addEventListener) {
+            this.listen(this.colorSchemeQuery, 'change', () => {
+                if (this.config.theme === 'auto') this.applyTheme(this.frameId !== null);
+            });
+        }
+
+        // Stop rendering while nobody can see the hero
+        this.listen(document, 'visibilitychange', () => this.updateLoop());
+        if ('IntersectionObserver' in window) {
+            this.intersectionObserver = new IntersectionObserver(entries => {
+                this.heroVisible = entries[entries.length - 1].isIntersecting;
+                this.updateLoop();
+            });
+            this.intersectionObserver.observe(this.container);
+        }
+
+        this.watchBattery();
+    }
+
+    // Browsers follow a tap with emulated mouse events, up to a second later.
+    // The touch handlers already covered it; a 'mouse' pointer from one would never leave.
+    isEmulatedMouse() {
+        return this.clock.now() - this.lastTouchTime < 1000;
+    }
+
+    onMouseMove(e) {
+        if (!this.isEmulatedMouse()) this.onPointerMove(e.clientX, e.clientY);
+    }
 
-        window.addEventListener('resize', () => this.onResize());
+    // Every finger is its own force source
+    onTouchStart(e) {
+        this.lastTouchTime = this.clock.now();
+        this.isInteracting = true;
+        this.activateEnergyLines();
+        for (const touch of e.changedTouches) {
+            this.onPointerMove(touch.clientX, touch.clientY, touch.identifier);
+            this.addRipple(touch.clientX, touch.clientY);
+        }
+    }
+
+    onTouchMove(e) {
+        this.lastTouchTime = this.clock.now();
+        for (const touch of e.changedTouches) this.onPointerMove(touch.clientX, touch.clientY, touch.identifier);
     }
 
-    onPointerMove(clientX, clientY) {
-        this.mouse.x = (clientX / this.width) * 2 - 1;
-        this.mouse.y = -(clientY / this.height) * 2 + 1;
-        this.mouseWorld.x = this.mouse.x * (this.width / 2);
-        this.mouseWorld.y = this.mouse.y * (this.height / 2);
-        this.mouseWorld.z = 0;
+    onTouchEnd(e) {
+        this.lastTouchTime = this.clock.now();
+        for (const touch of e.changedTouches) this.onPointerEnd(touch.identifier);
+    }
+
+    // Track a pointer's world position and velocity; the first one also drives mouseWorld
+    onPointerMove(clientX, clientY, id = 'mouse') {
+        if (this.exportState) return;
+        this.noteInput();
+        const now = this.clock.now();
+        const world = this.clientToWorld(clientX, clientY);
+        let pointer = this.pointers.get(id);
+        if (!pointer) {
+            pointer = { x: world.x, y: world.y, vx: 0, vy: 0, time: now };
+            this.pointers.set(id, pointer);
+        } else {
+            const elapsed = (now - pointer.time) / 1000;
+            if (elapsed > 0) {
+                // Smoothed, so one jittery event doesn't kick the wake
+                pointer.vx += ((world.x - pointer.x) / elapsed - pointer.vx) * 0.5;
+                pointer.vy += ((world.y - pointer.y) / elapsed - pointer.vy) * 0.5;
+            }
+            pointer.x = world.x;
+            pointer.y = world.y;
+            pointer.time = now;
+        }
+
+        if (this.pointers.keys().next().value === id) {
+            this.mouse.copy(this.pointerNdc);
+            this.mouseWorld.copy(world);
+            this.pointerClient.x = clientX;
+            this.pointerClient.y = clientY;
+            this.hoverDirty = true;
+        }
         this.isInteracting = true;
     }
 
+    // A pointer left (mouse out of the window, finger lifted)
+    onPointerEnd(id) {
+        this.pointers.delete(id);
+        const first = this.pointers.values().next().value;
+        if (first) {
+            this.mouseWorld.set(first.x, first.y, 0);
+            return;
+        }
+        this.isInteracting = false;
+        this.mouseWorld.set(9999, 9999, 0);
+        this.deactivateEnergyLines();
+    }
+
+    // Start a shockwave ring at a press, if a 'ripple' force is configured
+    addRipple(clientX, clientY) {
+        if (this.exportState) return;
+        this.noteInput();
+        if (!this.forceFields.some(field => field.type === 'ripple')) return;
+        const { x, y } = this.clientToWorld(clientX, clientY);
+        this.ripples.push({ x, y, time: this.time });
+    }
+
+    // Viewport px → the point under them on the art plane (artGroup coordinates)
+    clientToWorld(clientX, clientY, out = new THREE.Vector3()) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        if (!rect.width || !rect.height) return out.set(9999, 9999, 0);
+        this.pointerNdc.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.camera.updateMatrixWorld();
+        this.raycaster.setFromCamera(this.pointerNdc, this.camera);
+        this.artGroup.updateMatrixWorld();
+        this.artPlane.set(this.hitPoint.set(0, 0, 1), 0).applyMatrix4(this.artGroup.matrixWorld);
+        if (!this.raycaster.ray.intersectPlane(this.artPlane, out)) return out.set(9999, 9999, 0);
+        return this.artGroup.worldToLocal(out);
+    }
+
+    // The current artwork's path drawn under a viewport point, or null
+    hitTest(clientX, clientY) {
+        if (!this.isReady) return null;
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const px = clientX - rect.left;
+        const py = clientY - rect.top;
+
+        this.camera.updateMatrixWorld();
+        this.artGroup.updateMatrixWorld();
+        const matrix = this.hitMatrix
+            .multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse)
+            .multiply(this.artGroup.matrixWorld);
+        const point = this.hitPoint;
+        const pathCount = this.artworks[this.currentArtwork].svgPaths.length;
+
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let i = 0; i < Math.min(pathCount, this.maxLineCount); i++) {
+            const line = this.lines[i];
+            if (!line.visible || line.opacity < 0.05) continue;
+            const tolerance = this.config.hitTolerance + line.width / 2;
+
+            const depth = this.lineDepth(i);
+            let ax = 0, ay = 0;
+            for (let j = 0; j < line.activePointCount; j++) {
+                point.copy(this.currentPositions[i][j]);
+                point.z += depth;
+                point.applyMatrix4(matrix);
+                const bx = (point.x + 1) / 2 * rect.width;
+                const by = (1 - point.y) / 2 * rect.height;
+                if (j > 0) {
+                    // Distance to segment a → b
+                    const dx = bx - ax, dy = by - ay;
+                    const lengthSq = dx * dx + dy * dy;
+                    const t = lengthSq > 0 ? Math.min(1, Math.max(0, ((px - ax) * dx + (py - ay) * dy) / lengthSq)) : 0;
+                    const distance = Math.hypot(ax + dx * t - px, ay + dy * t - py);
+                    if (distance < tolerance && distance < bestDistance) {
+                        bestDistance = distance;
+                        best = i;
+                    }
+                }
+                ax = bx;
+                ay = by;
+            }
+        }
+        return best === -1 ? null : { artwork: this.currentArtwork, path: best, distance: bestDistance };
+    }
+
+    // config.hoverHighlight: tint the path under the first pointer (at rest only)
+    updateHover() {
+        const enabled = this.config.hoverHighlight > 0 && this.isInteracting &&
+            this.autoRevealComplete && !this.isSwapping;
+        let hovered = this.hoverLine;
+        if (!enabled) {
+            hovered = -1;
+        } else if (this.hoverDirty) {
+            const hit = this.hitTest(this.pointerClient.x, this.pointerClient.y);
+            hovered = hit ? hit.path : -1;
+        }
+        this.hoverDirty = false;
+
+        if (hovered !== this.hoverLine) {
+            // GPU rest mode doesn't rewrite line colors every frame; put the old one back
+            const previous = this.lines[this.hoverLine];
+            if (previous && this.config.gpuAnimation && !this.isSwapping) {
+                previous.accentMix = 0;
+                previous.opacity = previous.visible ? previous.baseOpacity : 0;
+            }
+            this.hoverLine = hovered;
+            this.emit('hover', { artwork: this.currentArtwork, path: hovered === -1 ? null : hovered });
+        }
+
+        const line = this.lines[this.hoverLine];
+        if (!line) return;
+        line.accentMix = Math.max(line.accentMix, this.config.hoverHighlight);
+        line.opacity = Math.max(line.opacity, line.baseOpacity + 0.2);
+    }
+
+    // Fix the aspect right away, rescale once the size settles
     onResize() {
-        this.width = window.innerWidth;
-        this.height = window.innerHeight;
+        // exportAnimation() lays out at its own size and catches up when it's done
+        if (this.exportState) return;
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        if (!width || !height || (width === this.width && height === this.height)) return;
+
+        this.width = width;
+        this.height = height;
         this.camera.aspect = this.width / this.height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(this.width, this.height);
+        // Rotating the phone changes which way is "flat"
+        this.orientationRest = null;
 
-        // Recalculate artwork scales for new viewport
-        this.recalculateScales();
+        clearTimeout(this.resizeTimer);
+        this.resizeTimer = setTimeout(() => {
+            if (!this.destroyed) this.recalculateScales();
+        }, this.config.resizeDebounce);
     }
 
     // ---- Physics ----
 
-    updateLines() {
-        if (!this.autoRevealComplete || this.isSwapping) return;
+    // Validate config.forces and fill in each field's defaults
+    compileForces(forces) {
+        return forces.map(force => {
+            const defaults = FORCE_DEFAULTS[force.type];
+            if (!defaults) throw new Error(`Unknown force type '${force.type}'`);
+            const field = {
+                radius: this.config.repelRadius,
+                strength: this.config.repelStrength,
+                speed: 0,
+                duration: 0,
+                ...defaults,
+                ...force
+            };
+            if (!FORCE_FALLOFFS[field.falloff]) throw new Error(`Unknown force falloff '${field.falloff}'`);
+            field.fade = FORCE_FALLOFFS[field.falloff];
+            return field;
+        });
+    }
 
-        const repelRadiusSq = this.config.repelRadius * this.config.repelRadius;
-        const pulseOffset = this.config.pulseEnabled
-            ? Math.sin(this.time * this.config.pulseSpeed) * this.config.pulseAmount
-            : 0;
+    // Pointers slow down when they stop sending moves; ripples expire
+    updatePointers(dt) {
+        const decay = Math.pow(0.05, dt);
+        for (const pointer of this.pointers.values()) {
+            pointer.vx *= decay;
+            pointer.vy *= decay;
+        }
+
+        if (!this.ripples.length) return;
+        const lifetime = Math.max(0, ...this.forceFields.filter(f => f.type === 'ripple').map(f => f.duration));
+        this.ripples = this.ripples.filter(ripple => this.time - ripple.time < lifetime);
+    }
+
+    updateLines(dt) {
+        if (!this.autoRevealComplete || this.isSwapping) {
+            this.physicsAccumulator = 0;
+            return;
+        }
+
+        if (this.config.gpuAnimation) {
+            this.restoreRestPositions();
+            return;
+        }
+        this.gpuRestDirty = true;
 
+        // Fixed-timestep physics: same damping and return speed at any refresh rate
+        const { steps, remainder } = RevealCore.fixedSteps(this.physicsAccumulator, dt, this.physicsStep);
+        this.physicsAccumulator = remainder;
+        if (!steps) return;
+        for (let n = 0; n < steps; n++) this.stepPhysics();
+
+        // Geometry, color and opacity once per rendered frame
         for (let i = 0; i < this.maxLineCount; i++) {
             if (!this.lines[i].visible) {
-                this.lines[i].material.opacity = 0;
+                this.lines[i].opacity = 0;
                 continue;
             }
 
-            const activeCount = this.lines[i].activePointCount;
-            let totalDisplacement = 0;
+            const avgDisp = RevealCore.lineDisplacement(this.currentPositions[i], this.originalPositions[i],
+                this.lines[i].activePointCount);
+            this.updateLineGeometry(i);
+
+            // Idle drift moves the rest position itself; only pushes beyond it tint the line
+            const colorMix = Math.min(Math.max(avgDisp - this.idleDrift, 0) / 20, 1);
+            this.lines[i].accentMix = colorMix;
+            this.lines[i].opacity = this.lines[i].baseOpacity + colorMix * 0.2;
+        }
+    }
+
+    // GPU repel/pulse need the undisplaced artwork in the buffer
+    restoreRestPositions() {
+        if (!this.gpuRestDirty) return;
+        for (let i = 0; i < this.maxLineCount; i++) {
+            for (let j = 0; j < this.maxPointsPerLine; j++) {
+                this.currentPositions[i][j].copy(this.originalPositions[i][j]);
+                this.velocities[i][j].set(0, 0, 0);
+            }
+            this.updateLineGeometry(i);
+            this.lines[i].accentMix = 0;
+            this.lines[i].opacity = this.lines[i].visible ? this.lines[i].baseOpacity : 0;
+        }
+        this.gpuRestDirty = false;
+    }
+
+    // One fixed physics step: pointer force fields, damp, spring back toward (pulsing) targets
+    stepPhysics() {
+        const pointers = this.isInteracting ? Array.from(this.pointers.values()) : [];
+        const fields = this.forceFields;
+        const drift = this.idleDrift;
+        const pulseOffset = this.isPulseActive()
+            ? Math.sin(this.time * this.config.pulseSpeed) * this.config.pulseAmount
+            : 0;
+
+        for (let i = 0; i < this.maxLineCount; i++) {
+            if (!this.lines[i].visible) continue;
 
             for (let j = 0; j < this.maxPointsPerLine; j++) {
                 const current = this.currentPositions[i][j];
@@ -1004,50 +3103,304 @@ class AballeRevealArt {
                 const pulseX = original.x * pulseOffset;
                 const pulseY = original.y * pulseOffset;
 
-                const dx = current.x - this.mouseWorld.x;
-                const dy = current.y - this.mouseWorld.y;
-                const distSq = dx * dx + dy * dy;
+                for (const field of fields) {
+                    if (field.type === 'ripple') {
+                        for (const ripple of this.ripples) {
+                            RevealCore.applyRipple(field, ripple, this.time - ripple.time, current, velocity);
+                        }
+                    } else {
+                        for (const pointer of pointers) RevealCore.applyForce(field, pointer, current, velocity);
+                    }
+                }
 
-                if (this.isInteracting && distSq < repelRadiusSq && distSq > 0) {
-                    const dist = Math.sqrt(distSq);
-                    const force = (1 - dist / this.config.repelRadius) * this.config.repelStrength;
-                    velocity.x += (dx / dist) * force;
-                    velocity.y += (dy / dist) * force;
+                let targetX = original.x + pulseX;
+                let targetY = original.y + pulseY;
+                if (drift) {
+                    const offset = this.driftField(original.x, original.y);
+                    targetX += offset.x * drift;
+                    targetY += offset.y * drift;
                 }
+                RevealCore.springStep(current, velocity, targetX, targetY, this.config.returnSpeed);
+            }
+        }
+    }
 
-                current.x += velocity.x * 0.1;
-                current.y += velocity.y * 0.1;
-                velocity.x *= 0.9;
-                velocity.y *= 0.9;
-
-                const targetX = original.x + pulseX;
-                const targetY = original.y + pulseY;
-                current.x += (targetX - current.x) * this.config.returnSpeed;
-                current.y += (targetY - current.y) * this.config.returnSpeed;
-                current.z += (0 - current.z) * this.config.returnSpeed;
-
-                if (j < activeCount) {
-                    totalDisplacement += Math.sqrt(
-                        (current.x - original.x) ** 2 + (current.y - original.y) ** 2
-                    );
+    // ---- Export ----
+
+    // Render the reveal or a swap offline at a fixed frame rate (options: README.md).
+    // WebM goes through WebCodecs; MediaRecorder is a real-time fallback.
+    async exportAnimation(options = {}) {
+        const {
+            animation = 'swap', to = null, preset = this.config.swapPreset, format = 'png',
+            fps = 30, width = this.width, height = this.height, pixelRatio = 1,
+            hold = 0.5, transparent = false, onFrame = null
+        } = options;
+        if (!['reveal', 'swap'].includes(animation)) throw new Error(`Unknown animation '${animation}'`);
+        if (!['png', 'webm', 'gif'].includes(format)) throw new Error(`Unknown export format '${format}'`);
+        if (!this.interactive) throw new Error('Export needs a page (a WebGL canvas to read back)');
+        await this.ready;
+        if (this.destroyed) throw new Error('Cannot export after destroy()');
+        if (this.exportState) throw new Error('An export is already running');
+
+        const wasPaused = this.paused;
+        const liveSize = { width: this.width, height: this.height };
+        const liveRenderer = this.renderer;
+        const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(width, height, false);
+        const canvas = renderer.domElement;
+
+        this.exportState = { transparent };
+        this.pause();
+        // The export is a clean take: no pointers, ripples or idle modes
+        for (const id of [...this.pointers.keys()]) this.onPointerEnd(id);
+        this.ripples.length = 0;
+        this.noteInput();
+        this.idleAmount = 0;
+        this.idleDrift = 0;
+        this.idleGlow = 0;
+        this.idleTilt.set(0, 0, 0);
+        this.parallax.set(0, 0);
+        // Scrolling can't steer a morph now: it plays out on its own
+        if (this.swapDriver === 'scroll') this.swapDriver = 'time';
+        this.renderer = renderer;
+        if (transparent) {
+            this.scene.background = null;
+            renderer.setClearColor(0x000000, 0);
+        }
+        this.setViewSize(width, height);
+
+        let recorder = null;
+        let encoder = null;
+        try {
+            const dt = 1 / fps;
+            // Let anything already running settle, off camera
+            for (let n = 0; n < fps * 30 && (!this.autoRevealComplete || this.isSwapping); n++) this.step(dt);
+
+            if (animation === 'reveal') {
+                this.replayReveal();
+            } else {
+                const key = to || this.nextArtworkKey();
+                if (!this.swapTo(key, preset)) throw new Error(`Cannot swap to '${key}'`);
+            }
+            const done = () => (animation === 'reveal' ? this.autoRevealComplete : !this.isSwapping);
+
+            // Frames are read back from the WebGL canvas right after they are drawn
+            let capture;
+            const frames = [];
+            if (format === 'png') {
+                capture = async () => {
+                    frames.push(await new Promise(resolve => canvas.toBlob(resolve, 'image/png')));
+                };
+            } else {
+                const copy = document.createElement('canvas');
+                copy.width = canvas.width;
+                copy.height = canvas.height;
+                const context = copy.getContext('2d');
+                const draw = () => {
+                    context.clearRect(0, 0, copy.width, copy.height);
+                    context.drawImage(canvas, 0, 0);
+                };
+                if (format === 'gif') {
+                    const gif = createGifEncoder(copy.width, copy.height, { delay: dt, transparent });
+                    capture = async () => {
+                        draw();
+                        gif.addFrame(context.getImageData(0, 0, copy.width, copy.height).data);
+                    };
+                    capture.finish = async () => gif.finish();
+                } else {
+                    const video = await findWebmConfig(canvas.width, canvas.height, fps, transparent);
+                    if (video) {
+                        const muxer = createWebmMuxer(canvas.width, canvas.height, { codec: video.id, fps, alpha: video.alpha });
+                        let failure = null;
+                        encoder = new VideoEncoder({
+                            output: (chunk, metadata) => {
+                                const data = new Uint8Array(chunk.byteLength);
+                                chunk.copyTo(data);
+                                const alpha = metadata && metadata.alphaSideData ? new Uint8Array(metadata.alphaSideData) : null;
+                                muxer.addChunk(data, chunk.timestamp, chunk.duration || 1e6 / fps, chunk.type === 'key', alpha);
+                            },
+                            error: (error) => { failure = error; }
+                        });
+                        encoder.configure(video.encoder);
+                        const keyInterval = Math.max(1, Math.round(fps * 2));
+                        let count = 0;
+                        capture = async () => {
+                            if (failure) throw failure;
+                            const index = count++;
+                            const frame = new VideoFrame(canvas, {
+                                timestamp: Math.round(index * 1e6 / fps),
+                                duration: Math.round(1e6 / fps)
+                            });
+                            encoder.encode(frame, { keyFrame: index % keyInterval === 0 });
+                            frame.close();
+                            // Keep the encoder from falling far behind
+                            while (encoder.encodeQueueSize > 2) await new Promise(resolve => setTimeout(resolve, 0));
+                        };
+                        capture.finish = async () => {
+                            await encoder.flush();
+                            if (failure) throw failure;
+                            return muxer.finish();
+                        };
+                    } else {
+                        // Real-time fallback: MediaRecorder stamps frames as they arrive
+                        console.warn('WebM export: no WebCodecs, recording in real time with MediaRecorder');
+                        const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+                            .find(candidate => MediaRecorder.isTypeSupported(candidate));
+                        if (!type) throw new Error('This browser cannot record WebM');
+                        const stream = copy.captureStream(0);
+                        const track = stream.getVideoTracks()[0];
+                        const chunks = [];
+                        recorder = new MediaRecorder(stream, { mimeType: type, videoBitsPerSecond: 8e6 });
+                        recorder.addEventListener('dataavailable', (e) => chunks.push(e.data));
+                        recorder.start();
+                        const start = this.clock.now();
+                        let count = 0;
+                        capture = async () => {
+                            const due = start + count++ * dt * 1000;
+                            await new Promise(resolve => setTimeout(resolve, Math.max(0, due - this.clock.now())));
+                            draw();
+                            track.requestFrame();
+                        };
+                        capture.finish = async () => {
+                            // Hold the last frame for its full duration
+                            await new Promise(resolve => setTimeout(resolve, dt * 1000));
+                            await new Promise(resolve => {
+                                recorder.addEventListener('stop', resolve, { once: true });
+                                recorder.stop();
+                            });
+                            track.stop();
+                            return new Blob(chunks, { type });
+                        };
+                    }
                 }
             }
 
-            this.updateLineGeometry(i);
+            // Frame 0 is the starting pose; stop a minute in, whatever happens
+            let holdFrames = Math.round(hold * fps);
+            this.step(0);
+            for (let index = 0; index < fps * 60; index++) {
+                await capture();
+                if (onFrame) await onFrame(index);
+                if (this.destroyed) throw new Error('destroy() during export');
+                if (done() && holdFrames-- <= 0) break;
+                this.step(dt);
+            }
+            return capture.finish ? await capture.finish() : frames;
+        } finally {
+            if (recorder && recorder.state !== 'inactive') recorder.stop();
+            if (encoder && encoder.state !== 'closed') encoder.close();
+            this.renderer = liveRenderer;
+            renderer.dispose();
+            this.exportState = null;
+            if (this.destroyed) {
+                // destroy() only reached the export renderer
+                liveRenderer.dispose();
+                if (this.interactive) liveRenderer.domElement.remove();
+            } else {
+                this.scene.background = this.palette.background;
+                // The container may have been resized meanwhile
+                this.setViewSize(this.container.clientWidth || liveSize.width, this.container.clientHeight || liveSize.height);
+                liveRenderer.setSize(this.width, this.height);
+                if (!wasPaused) this.play();
+            }
+        }
+    }
+
+    // Lay the scene out for a viewport size straight away (export; onResize debounces this)
+    setViewSize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        clearTimeout(this.resizeTimer);
+        this.recalculateScales();
+    }
+
+    // The lines as drawn this frame, as an SVG document (no fills or energy lines)
+    snapshotSVG({ transparent = false } = {}) {
+        if (!this.isReady) return null;
+        // A GPU swap's positions live in the shader; bring them to the CPU first
+        if (this.isSwapping && this.swapStyle === 'morph' && this.swapOnGpu) this.updateSwapLines();
+
+        const { width, height } = this;
+        this.camera.updateMatrixWorld();
+        this.artGroup.updateMatrixWorld();
+        const matrix = new THREE.Matrix4()
+            .multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse)
+            .multiply(this.artGroup.matrixWorld);
+        const point = new THREE.Vector3();
+        const color = new THREE.Color();
+        const accent = this.palette.accent;
+        const round = (value) => Math.round(value * 100) / 100;
+        const hex = (c) => `#${c.getHexString()}`;
+
+        const gradients = [];
+        const lines = [];
+        for (let i = 0; i < this.maxLineCount; i++) {
+            const line = this.lines[i];
+            if (!line.visible || line.opacity <= 0.001 || line.activePointCount === 0) continue;
+            const depth = this.lineDepth(i);
+            const points = [];
+            for (let j = 0; j < line.activePointCount; j++) {
+                point.copy(this.currentPositions[i][j]);
+                point.z += depth;
+                point.applyMatrix4(matrix);
+                points.push([round((point.x + 1) / 2 * width), round((1 - point.y) / 2 * height)]);
+            }
 
-            const avgDisp = activeCount > 0 ? totalDisplacement / activeCount : 0;
-            const colorMix = Math.min(avgDisp / 20, 1);
-            this.lines[i].material.color.copy(this.config.baseColor).lerp(this.config.accentColor, colorMix);
-            this.lines[i].material.opacity = this.lines[i].baseOpacity + colorMix * 0.2;
+            let stroke = hex(color.copy(line.baseColor).lerp(accent, line.accentMix));
+            if (line.ramp) {
+                const last = points.length - 1;
+                const stop = (j) => hex(color.copy(line.baseColor)
+                    .lerp(line.rampColor, line.ramp[j] || 0).lerp(accent, line.accentMix));
+                gradients.push(`<linearGradient id="line-${i}" gradientUnits="userSpaceOnUse" ` +
+                    `x1="${points[0][0]}" y1="${points[0][1]}" x2="${points[last][0]}" y2="${points[last][1]}">` +
+                    `<stop offset="0" stop-color="${stop(0)}"/><stop offset="1" stop-color="${stop(last)}"/></linearGradient>`);
+                stroke = `url(#line-${i})`;
+            }
+            const dash = line.dash
+                ? ` stroke-dasharray="${line.dash.pattern.map(length => round(length * line.dash.pixels)).join(' ')}"` +
+                    ` stroke-dashoffset="${round(line.dash.offset * line.dash.pixels)}"`
+                : '';
+            // Hairlines (width 0) are one device pixel on screen
+            lines.push(`<polyline points="${points.map(p => p.join(',')).join(' ')}" fill="none" ` +
+                `stroke="${stroke}" stroke-opacity="${round(Math.min(1, line.opacity))}" ` +
+                `stroke-width="${line.width > 0 ? line.width : 1}" stroke-linecap="round" stroke-linejoin="round"${dash}/>`);
         }
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...(gradients.length ? [`<defs>${gradients.join('')}</defs>`] : []),
+            ...(transparent ? [] : [`<rect width="100%" height="100%" fill="${hex(this.palette.background)}"/>`]),
+            ...lines,
+            '</svg>'
+        ].join('\n');
     }
 
     // ---- Main loop ----
 
     animate() {
-        requestAnimationFrame(() => this.animate());
+        this.frameId = this.clock.requestFrame(() => this.animate());
+
+        // Low power: skip frames to hold the capped frame rate (1ms slack for vsync jitter)
+        const now = this.clock.now();
+        if (this.isLowPower() && this.lastFrameTime !== null &&
+            now - this.lastFrameTime < 1000 / this.config.lowPowerFps - 1) {
+            return;
+        }
+
+        // Real elapsed time; first frame after start/resume advances nothing
+        const dt = this.lastFrameTime === null
+            ? 0
+            : Math.min((now - this.lastFrameTime) / 1000, this.maxFrameDelta);
+        this.lastFrameTime = now;
+        this.step(dt);
+    }
 
-        const dt = 0.016;
+    // One frame: advance every animation by dt seconds, then render
+    step(dt) {
+        if (!this.isReady || this.destroyed) return;
         this.time += dt;
 
         // Auto-reveal (only until complete)
@@ -1055,19 +3408,275 @@ class AballeRevealArt {
             this.updateAutoReveal(dt);
         }
 
-        // Swap morph
+        // Swap morph. An export plays its own: no scroll, pointers or idle modes meanwhile.
+        const live = !this.exportState;
+        if (live) this.updateScrollMorph();
         this.updateSwap(dt);
 
         // Physics (only after reveal, when not swapping)
-        this.updateLines();
+        if (live) {
+            this.updatePointers(dt);
+            this.updateIdle(dt);
+        }
+        this.updateParallax(dt);
+        this.updateLines(dt);
+        this.updateHover();
 
         // Energy lines
-        this.updateEnergyLines();
+        this.updateEnergyLines(dt);
+        this.updateFills(dt);
+        this.updateTheme(dt);
+
+        this.syncLineStyles();
+        this.updateShaderUniforms(dt);
 
         this.renderer.render(this.scene, this.camera);
     }
 }
 
-document.addEventListener('DOMContentLoaded', () => {
-    window._art = new AballeRevealArt();
-});
+/**
+ * Static fallback — used when three.js didn't load or WebGL is unavailable.
+ *
+ * Renders the artwork as inline SVG line art with a stroke-dash draw-in,
+ * click to cross-fade to the next artwork. Mirrors the parts of the
+ * AballeRevealArt API that make sense without WebGL (swapTo, events, destroy).
+ */
+
+class AballeStaticArt {
+    constructor() {
+        this.container = document.getElementById('canvas-container');
+        this.artworks = {};
+        this.artworkOrder = [];
+        this.currentArtwork = 'logo';
+        this.isSwapping = false;
+        this.listeners = [];
+        this.destroyed = false;
+        this.drawDuration = 1900;       // ms, matches the WebGL reveal
+        this.fadeDuration = 400;        // ms, matches .hero__static transition
+
+        this.stage = document.createElement('div');
+        this.stage.className = 'hero__static';
+        this.container.appendChild(this.stage);
+
+        this.registerArtwork('logo', { file: 'logo.svg', label: 'ABALLE logo' });
+        this.registerArtwork('vertebra', { file: 'vertebra.svg', label: 'Vertebra' });
+
+        this.listen(this.stage, 'click', () => this.activate());
+        this.a11y = new HeroAccessibility(this, this.stage);
+        this.listen(window, 'resize', () => this.updateStrokeWidth());
+
+        this.emit('revealstart');
+        this.ready = this.showArtwork(this.currentArtwork).then(() => {
+            if (!this.destroyed) this.emit('revealcomplete');
+        });
+    }
+
+    registerArtwork(key, { file, label = key } = {}) {
+        if (!this.artworks[key]) this.artworkOrder.push(key);
+        this.artworks[key] = { file, label, svgText: null };
+        return Promise.resolve();
+    }
+
+    // Click / Enter / Space on the art
+    activate() {
+        this.swapArtwork();
+    }
+
+    async loadSVG(artworkKey) {
+        const artwork = this.artworks[artworkKey];
+        if (!artwork.svgText) {
+            const response = await fetch(artwork.file);
+            artwork.svgText = await response.text();
+        }
+
+        const doc = new DOMParser().parseFromString(artwork.svgText, 'image/svg+xml');
+        const svg = document.importNode(doc.querySelector('svg'), true);
+
+        // Inline <style> would leak into the page; ids could collide
+        svg.querySelectorAll('style').forEach(style => style.remove());
+        svg.removeAttribute('id');
+        return svg;
+    }
+
+    // Insert the SVG and draw its strokes in (pathLength=1 normalizes the dash per shape)
+    async showArtwork(artworkKey) {
+        let svg;
+        try {
+            svg = await this.loadSVG(artworkKey);
+        } catch (error) {
+            console.error(`Could not load ${this.artworks[artworkKey].file}:`, error);
+            return;
+        }
+        if (this.destroyed) return;
+
+        const shapes = svg.querySelectorAll('path, polygon, polyline, rect, circle, ellipse, line');
+        shapes.forEach(shape => {
+            shape.setAttribute('pathLength', '1');
+            shape.style.strokeDasharray = '1';
+            shape.style.strokeDashoffset = '1';
+        });
+
+        this.stage.replaceChildren(svg);
+        this.updateStrokeWidth();
+        svg.getBoundingClientRect(); // Force layout so the transition starts from the offset
+        shapes.forEach(shape => { shape.style.strokeDashoffset = '0'; });
+
+        await this.wait(this.drawDuration);
+    }
+
+    // Keep a ~1px hairline regardless of how far the viewBox is scaled
+    updateStrokeWidth() {
+        const svg = this.stage.querySelector('svg');
+        if (!svg) return;
+        const viewBox = svg.viewBox && svg.viewBox.baseVal;
+        const rect = svg.getBoundingClientRect();
+        if (!viewBox || !viewBox.width || !rect.width || !rect.height) return;
+        // preserveAspectRatio "meet": the tighter axis sets the scale
+        const unitsPerPx = Math.max(viewBox.width / rect.width, viewBox.height / rect.height);
+        svg.style.strokeWidth = `${unitsPerPx}px`;
+    }
+
+    nextArtworkKey() {
+        const idx = this.artworkOrder.indexOf(this.currentArtwork);
+        return this.artworkOrder[(idx + 1) % this.artworkOrder.length];
+    }
+
+    swapArtwork() {
+        return this.swapTo(this.nextArtworkKey());
+    }
+
+    swapTo(newArtwork) {
+        if (this.isSwapping || newArtwork === this.currentArtwork || !this.artworks[newArtwork]) return false;
+
+        const oldArtworkKey = this.currentArtwork;
+        this.isSwapping = true;
+        this.currentArtwork = newArtwork;
+        this.emit('swapstart', { from: oldArtworkKey, to: newArtwork });
+
+        this.stage.classList.add('is-leaving');
+        // destroy() meanwhile: leave the stage alone and emit nothing
+        this.wait(this.fadeDuration)
+            .then(() => {
+                if (this.destroyed) return;
+                this.stage.classList.remove('is-leaving');
+                return this.showArtwork(newArtwork);
+            })
+            .then(() => {
+                if (this.destroyed) return;
+                this.isSwapping = false;
+                this.emit('swapend', { artwork: newArtwork, reversed: false });
+            });
+        return true;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Nothing animates continuously — kept for API parity with AballeRevealArt
+    play() {}
+    pause() {}
+    setConfig() {}
+    registerSwapPreset() {}
+    reverseSwap() { return false; }
+    requestOrientationPermission() { return Promise.resolve(false); }
+    exportAnimation() { return Promise.reject(new Error('Export needs WebGL')); }
+
+    // The artwork's own SVG, as shown
+    snapshotSVG() {
+        const svg = this.stage.querySelector('svg');
+        return svg ? new XMLSerializer().serializeToString(svg) : null;
+    }
+
+    replayReveal() {
+        this.emit('revealstart');
+        this.showArtwork(this.currentArtwork).then(() => this.emit('revealcomplete'));
+    }
+
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        for (const { target, type, handler } of this.listeners) {
+            target.removeEventListener(type, handler);
+        }
+        this.listeners = [];
+        this.a11y.destroy();
+        this.stage.remove();
+    }
+
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+
+    on(type, handler) {
+        this.container.addEventListener(type, handler);
+        return this;
+    }
+
+    off(type, handler) {
+        this.container.removeEventListener(type, handler);
+        return this;
+    }
+
+    emit(type, detail = {}) {
+        this.container.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+/**
+ * Keyboard and screen-reader layer shared by both heroes: button semantics
+ * and focus on the art element, Enter/Space to activate, and a polite live
+ * region that announces the artwork shown after each swap.
+ */
+
+class HeroAccessibility {
+    constructor(art, target) {
+        this.art = art;
+        this.target = target;
+
+        target.tabIndex = 0;
+        target.setAttribute('role', 'button');
+
+        this.liveRegion = document.createElement('p');
+        this.liveRegion.className = 'visually-hidden';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        art.container.appendChild(this.liveRegion);
+
+        art.listen(target, 'keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault(); // Space would scroll the page
+            art.activate();
+        });
+        art.listen(art.container, 'swapend', () => this.update(true));
+        this.update(false);
+    }
+
+    update(announce) {
+        const current = this.art.artworks[this.art.currentArtwork].label;
+        const next = this.art.artworks[this.art.nextArtworkKey()].label;
+        this.target.setAttribute('aria-label', `${current}. Activate to transform into ${next}.`);
+        if (announce) this.liveRegion.textContent = current;
+    }
+
+    destroy() {
+        this.liveRegion.remove();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    // Node: headless, see Headless in README.md
+    module.exports = { AballeRevealArt };
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        // three.js comes from a CDN and WebGL can be blocked: the brand mark must still appear
+        try {
+            if (typeof THREE === 'undefined') throw new Error('three.js did not load');
+            if (!AballeRevealArt.isWebGLAvailable()) throw new Error('WebGL is unavailable');
+            window._art = new AballeRevealArt();
+        } catch (error) {
+            console.warn('Hero art: using static SVG fallback.', error.message);
+            window._art = new AballeStaticArt();
+        }
+    });
+}
@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ArtworkSampling = require('../artwork-sampling.js');
+const { parseXml, findAll, xmlTree, shapeFromElement } = require('../tools/svg-geometry.js');
+
+// Sample an SVG document as tools/bake-artwork.js does
+function sample(text) {
+    const root = parseXml(text);
+    return ArtworkSampling.sampleArtwork(xmlTree(root), findAll(root, 'svg')[0], shapeFromElement);
+}
+
+// First and last point of each path, back in the user space of a 0 0 100 100 root
+function ends(content) {
+    const { rawPaths } = sample(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100">${content}</svg>`);
+    return rawPaths.map(path => [path[0], path[path.length - 1]]
+        .map(p => [p.x + 50, 50 - p.y].map(v => Math.round(v * 1e6) / 1e6)));
+}
+
+describe('dash patterns', () => {
+    it('reads stroke-dasharray like SVG', () => {
+        assert.equal(ArtworkSampling.parseDashArray('none'), null);
+        assert.equal(ArtworkSampling.parseDashArray(null), null);
+        assert.deepEqual(ArtworkSampling.parseDashArray('10 5'), [10, 5]);
+        assert.deepEqual(ArtworkSampling.parseDashArray('10px, 5px'), [10, 5]);
+        // Odd lists repeat
+        assert.deepEqual(ArtworkSampling.parseDashArray('1,2,3'), [1, 2, 3, 1, 2, 3]);
+        // Invalid, relative or all zero: solid
+        assert.equal(ArtworkSampling.parseDashArray('5 -1'), null);
+        assert.equal(ArtworkSampling.parseDashArray('10%'), null);
+        assert.equal(ArtworkSampling.parseDashArray('0 0'), null);
+    });
+
+    it('survive baking, only on dashed paths', () => {
+        const rawPaths = [[{ x: 0, y: 0, z: 0 }, { x: 10, y: 0, z: 0 }], [{ x: 0, y: 5, z: 0 }, { x: 10, y: 5, z: 0 }]];
+        const styles = [
+            { stroke: '#112233', fill: null, strokeWidth: 2, dashArray: [4, 2], dashOffset: 1.5 },
+            { stroke: '#112233', fill: null, strokeWidth: 2, dashArray: null, dashOffset: 0 }
+        ];
+        const baked = JSON.parse(JSON.stringify(ArtworkSampling.bake(rawPaths, styles, 10, 5, 'test.svg')));
+        assert.equal('dashArray' in baked.styles[1], false);
+        assert.deepEqual(ArtworkSampling.unbake(baked).styles, styles);
+    });
+
+    it('default to solid in older bakes', () => {
+        const { styles } = ArtworkSampling.unbake({
+            format: 'aballe-artwork', version: 2, width: 10, height: 10,
+            paths: [[0, 0, 10, 0]], styles: [{ stroke: null, fill: null, strokeWidth: 0 }]
+        });
+        assert.deepEqual(styles, [{ stroke: null, fill: null, strokeWidth: 0, dashArray: null, dashOffset: 0 }]);
+    });
+});
+
+describe('document walk', () => {
+    it('applies transforms on groups and shapes', () => {
+        assert.deepEqual(ends('<g transform="translate(10 20)"><path d="M0 0 L10 0" transform="scale(2)"/></g>'),
+            [[[10, 20], [30, 20]]]);
+        assert.deepEqual(ends('<g transform="rotate(90)"><g transform="translate(10 0)"><line x1="0" y1="0" x2="5" y2="0"/></g></g>'),
+            [[[0, 10], [0, 15]]]);
+    });
+
+    it('frames the artwork on the root viewBox', () => {
+        // Its offset centers the frame; its scale onto width × height is not artwork space
+        const art = sample('<svg width="400" height="200" viewBox="50 50 200 100"><path d="M50 50 L250 150"/></svg>');
+        assert.equal(art.width, 200);
+        assert.equal(art.height, 100);
+        const path = art.rawPaths[0];
+        assert.deepEqual([path[0].x, path[0].y, path[path.length - 1].x, path[path.length - 1].y], [-100, 50, 100, -50]);
+    });
+
+    it('fits a nested <svg> viewBox into its viewport', () => {
+        assert.deepEqual(ends('<svg x="10" y="10" width="20" height="20" viewBox="100 100 10 10"><path d="M100 100 L110 110"/></svg>'),
+            [[[10, 10], [30, 30]]]);
+        // Wider than the viewBox: centered
+        assert.deepEqual(ends('<svg width="40" height="20" viewBox="0 0 10 10"><path d="M0 0 L10 10"/></svg>'),
+            [[[10, 0], [30, 20]]]);
+    });
+
+    it('falls back to width/height, then the bounds, without a viewBox', () => {
+        const sized = sample('<svg width="40" height="20"><path d="M0 0 L40 20"/></svg>');
+        assert.deepEqual([sized.width, sized.height], [40, 20]);
+        assert.deepEqual([sized.rawPaths[0][0].x, sized.rawPaths[0][0].y], [-20, 10]);
+
+        const bare = sample('<svg><path d="M10 10 L30 50"/></svg>');
+        assert.deepEqual([bare.width, bare.height], [20, 40]);
+        assert.deepEqual([bare.rawPaths[0][0].x, bare.rawPaths[0][0].y], [-10, 20]);
+    });
+
+    it('draws a <use> of an element at its x/y', () => {
+        assert.deepEqual(ends('<defs><path id="p" d="M0 0 L10 0"/></defs><use href="#p" x="5" y="5" transform="translate(10 0)"/>'),
+            [[[15, 5], [25, 5]]]);
+        // Through a group, and itself a use
+        assert.deepEqual(ends('<defs><g id="g"><path d="M0 0 L10 0"/></g><use id="u" href="#g" x="1"/></defs>' +
+            '<use xlink:href="#u" y="2"/>'), [[[1, 2], [11, 2]]]);
+        assert.deepEqual(ends('<use id="loop" href="#loop"/>'), []);
+    });
+
+    it('fits a <use> of a <symbol> into the symbol viewport', () => {
+        const symbol = (attrs = '') => `<defs><symbol id="s" viewBox="0 0 10 10" ${attrs}><path d="M0 0 L10 10"/></symbol></defs>`;
+        assert.deepEqual(ends(symbol() + '<use href="#s" x="20" y="20" width="40" height="40"/>'), [[[20, 20], [60, 60]]]);
+        // xMidYMid meet by default
+        assert.deepEqual(ends(symbol() + '<use href="#s" x="20" y="20" width="40" height="20"/>'), [[[30, 20], [50, 40]]]);
+        assert.deepEqual(ends(symbol('preserveAspectRatio="none"') + '<use href="#s" x="20" y="20" width="40" height="20"/>'),
+            [[[20, 20], [60, 40]]]);
+        assert.deepEqual(ends(symbol('preserveAspectRatio="xMaxYMin slice"') + '<use href="#s" width="40" height="20"/>'),
+            [[[0, 0], [40, 40]]]);
+        assert.deepEqual(ends(symbol('preserveAspectRatio="xMaxYMax"') + '<use href="#s" width="40" height="20"/>'),
+            [[[20, 0], [40, 20]]]);
+        // The symbol's own size, then 100% of the root viewport
+        assert.deepEqual(ends(symbol('width="30" height="30"') + '<use href="#s"/>'), [[[0, 0], [30, 30]]]);
+        assert.deepEqual(ends(symbol() + '<use href="#s"/>'), [[[0, 0], [100, 100]]]);
+        // Without a viewBox, only x/y
+        assert.deepEqual(ends('<defs><symbol id="s"><path d="M0 0 L10 10"/></symbol></defs><use href="#s" x="5" width="40" height="40"/>'),
+            [[[5, 0], [15, 10]]]);
+    });
+});
@@ -0,0 +1,313 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const RevealCore = require('../reveal-core.js');
+const ArtworkSampling = require('../artwork-sampling.js');
+
+const { createRandom } = RevealCore;
+
+// A baked artwork fitted to a 1200 × 800 hero, as registerArtwork() lays it out
+function loadArtwork(name) {
+    const file = path.join(__dirname, '..', `${name}.art.json`);
+    const data = ArtworkSampling.unbake(JSON.parse(fs.readFileSync(file, 'utf8')));
+    const artwork = { svgWidth: data.width, svgHeight: data.height, fit: 'contain', padding: { x: 10, y: 10 } };
+    return RevealCore.scalePaths(data.rawPaths, RevealCore.fitScale(artwork, 1200, 800));
+}
+
+const logo = loadArtwork('logo');
+const vertebra = loadArtwork('vertebra');
+const pointsPerLine = Math.max(...logo.concat(vertebra).map(p => p.length));
+
+function restPose(paths, lineCount) {
+    const lines = [];
+    for (let i = 0; i < lineCount; i++) {
+        const line = RevealCore.padPath([{ x: 0, y: 0, z: 0 }], pointsPerLine);
+        RevealCore.fillTargets(line, paths[i], pointsPerLine);
+        lines.push(line);
+    }
+    return lines;
+}
+
+// What swapTo() sets up: slots, poses and the compiled timeline
+function planSwap(oldPaths, newPaths, presetName, lineCount) {
+    const pairing = RevealCore.pairArtworks(oldPaths, newPaths, lineCount);
+    let current = restPose(oldPaths, lineCount);
+    if (pairing.slotOrder) current = pairing.slotOrder.map(k => current[k]);
+    const poses = RevealCore.planSwapPoses(pairing, oldPaths, newPaths, current,
+        { lineCount, pointsPerLine, splitDistance: 30 });
+    const timeline = RevealCore.compileSwapPreset(RevealCore.SWAP_PRESETS[presetName]);
+    const displaced = RevealCore.displacedPose(poses.start, poses.target, timeline.displacement, 60, createRandom(7));
+    return {
+        timeline,
+        poses,
+        swap: { poses: [poses.start, displaced, poses.target], splitOffsets: poses.splitOffsets, isSplit: pairing.isSplit, drift: 15 }
+    };
+}
+
+// Run a time-driven swap frame by frame until it arrives, as updateSwap() does
+function runSwap(duration, dt) {
+    let progress = 0, velocity = 1;
+    while (progress < 1) ({ progress, velocity } = RevealCore.advanceSwap(progress, velocity, 1, dt, duration));
+    return progress;
+}
+
+describe('swap', () => {
+    const lineCount = Math.max(logo.length, vertebra.length) + 4;
+    const stagger = i => (i * 0.618) % 1;
+
+    for (const [label, oldPaths, newPaths] of [['split', logo, vertebra], ['merge', vertebra, logo]]) {
+        for (const presetName of Object.keys(RevealCore.SWAP_PRESETS)) {
+            for (const staggered of [false, true]) {
+                it(`${label} / ${presetName}${staggered ? ' / staggered' : ''} lands every line on its target`, () => {
+                    const { timeline, poses, swap } = planSwap(oldPaths, newPaths, presetName, lineCount);
+                    const progress = runSwap(2.2, 1 / 60);
+                    assert.equal(progress, 1);
+
+                    const out = { x: 0, y: 0, z: 0 };
+                    for (let i = 0; i < lineCount; i++) {
+                        const lineProgress = staggered ? RevealCore.staggeredProgress(progress, stagger(i), 0.4) : progress;
+                        const { phase, index, t } = RevealCore.swapPhaseAt(timeline.phases, lineProgress);
+                        assert.equal(index, timeline.phases.length - 1);
+                        assert.equal(t, 1);
+                        const e = phase.ease(t);
+                        for (let j = 0; j < pointsPerLine; j++) {
+                            RevealCore.swapPosition(out, swap, i, j, phase, t, e);
+                            assert.deepEqual(out, { ...poses.target[i][j] }, `line ${i} point ${j}`);
+                        }
+
+                        const opacity = RevealCore.swapOpacity(phase, index, timeline.phases.length, t,
+                            i < oldPaths.length, i < newPaths.length);
+                        if (i < newPaths.length) assert.equal(opacity, 0.8, `line ${i}`);
+                        else assert.equal(opacity, 0, `unused line ${i}`);
+                        assert.equal(RevealCore.swapAccent(phase, t), 0);
+                    }
+                });
+            }
+        }
+    }
+
+    for (const [label, oldPaths, newPaths] of [['split', logo, vertebra], ['merge', vertebra, logo]]) {
+        for (const presetName of Object.keys(RevealCore.SWAP_PRESETS)) {
+            it(`${label} / ${presetName} has no jumps at phase boundaries`, () => {
+                const { timeline, swap } = planSwap(oldPaths, newPaths, presetName, lineCount);
+                const phases = timeline.phases;
+                const at = (index, t) => ({ phase: phases[index], index, t });
+                const a = { x: 0, y: 0, z: 0 };
+                const b = { x: 0, y: 0, z: 0 };
+                const close = (p, q, message) => assert.ok(Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z) < 1e-3,
+                    `${message}: ${JSON.stringify(p)} vs ${JSON.stringify(q)}`);
+                const pairs = [];
+                for (let k = 0; k < phases.length; k++) {
+                    // The eased formula approaches the exact end pose...
+                    pairs.push([at(k, 1 - 1e-7), at(k, 1), `phase ${k} end`]);
+                    // ...which is where the next phase starts
+                    if (k + 1 < phases.length) pairs.push([at(k, 1), at(k + 1, 0), `phase ${k} → ${k + 1}`]);
+                }
+                for (const [before, after, message] of pairs) {
+                    for (let i = 0; i < lineCount; i++) {
+                        for (let j = 0; j < pointsPerLine; j += 7) {
+                            RevealCore.swapPosition(a, swap, i, j, before.phase, before.t, before.phase.ease(before.t));
+                            RevealCore.swapPosition(b, swap, i, j, after.phase, after.t, after.phase.ease(after.t));
+                            close(a, b, `${message}, line ${i} point ${j}`);
+                        }
+                        const wasOld = i < oldPaths.length, isNew = i < newPaths.length;
+                        const opacity = s => RevealCore.swapOpacity(s.phase, s.index, phases.length, s.t, wasOld, isNew);
+                        assert.ok(Math.abs(opacity(before) - opacity(after)) < 1e-6, `${message}, opacity of line ${i}`);
+                        assert.ok(Math.abs(RevealCore.swapAccent(before.phase, before.t) - RevealCore.swapAccent(after.phase, after.t)) < 1e-6,
+                            `${message}, accent`);
+                    }
+                }
+            });
+        }
+    }
+
+    it('starts every line where it was', () => {
+        const { timeline, poses, swap } = planSwap(logo, vertebra, 'explode', vertebra.length);
+        const { phase, t } = RevealCore.swapPhaseAt(timeline.phases, 0);
+        const out = { x: 0, y: 0, z: 0 };
+        for (let i = 0; i < vertebra.length; i++) {
+            RevealCore.swapPosition(out, swap, i, 0, phase, t, phase.ease(t));
+            assert.deepEqual(out, { ...poses.start[i][0] });
+        }
+    });
+
+    it('gives each split child a piece of its parent', () => {
+        const { plan } = RevealCore.pairArtworks(logo, vertebra, vertebra.length);
+        assert.equal(plan.parentOf.length, vertebra.length);
+        plan.siblingCounts.forEach((count, parent) => {
+            const pieces = vertebra.map((_, ci) => ci)
+                .filter(ci => plan.parentOf[ci] === parent)
+                .map(ci => plan.piece[ci])
+                .sort((a, b) => a.from - b.from);
+            assert.equal(pieces.length, count);
+            if (!count) return;
+            assert.equal(pieces[0].from, 0);
+            assert.equal(pieces[pieces.length - 1].to, 1);
+            for (let k = 1; k < pieces.length; k++) assert.equal(pieces[k].from, pieces[k - 1].to);
+        });
+    });
+
+    it('fans siblings out across their parent', () => {
+        const pairing = RevealCore.pairArtworks(logo, vertebra, vertebra.length);
+        const current = restPose(logo, vertebra.length);
+        const { splitOffsets } = RevealCore.planSwapPoses(pairing, logo, vertebra, current,
+            { lineCount: vertebra.length, pointsPerLine, splitDistance: 30 });
+        for (const offset of splitOffsets) {
+            assert.ok(Math.hypot(offset.x, offset.y) <= 30 + 1e-9);
+        }
+        const only = pairing.plan.siblingCounts.findIndex(count => count === 1);
+        if (only !== -1) {
+            const child = pairing.plan.parentOf.indexOf(only);
+            assert.equal(Math.hypot(splitOffsets[child].x, splitOffsets[child].y), 0);
+        }
+    });
+
+    it('eases into reverse instead of snapping', () => {
+        let state = { progress: 0.5, velocity: 1 };
+        state = RevealCore.advanceSwap(state.progress, state.velocity, -1, 1 / 60, 2.2);
+        assert.ok(state.velocity > 0 && state.velocity < 1);
+        for (let k = 0; k < 60; k++) state = RevealCore.advanceSwap(state.progress, state.velocity, -1, 1 / 60, 2.2);
+        assert.equal(state.velocity, -1);
+        assert.ok(state.progress < 0.5);
+    });
+
+    it('rejects malformed presets', () => {
+        assert.throws(() => RevealCore.compileSwapPreset({ phases: [] }), /at least one phase/);
+        assert.throws(() => RevealCore.compileSwapPreset({ displacement: 'melt', phases: [{}] }), /displacement/);
+        assert.throws(() => RevealCore.compileSwapPreset({ phases: [{ easing: 'bounce' }] }), /easing/);
+        assert.throws(() => RevealCore.compileSwapPreset({ phases: [{ to: 'displaced' }] }), /end at 'target'/);
+    });
+});
+
+describe('reveal', () => {
+    it('ends with every line on the artwork at rest opacity', () => {
+        const random = createRandom(1);
+        const lines = restPose(logo, logo.length);
+        const out = { x: 0, y: 0, z: 0 };
+        lines.forEach((line, i) => {
+            const progress = RevealCore.staggeredProgress(1, i / (lines.length - 1), 0.4);
+            assert.equal(progress, 1);
+            const t = RevealCore.easeInOutCubic(progress);
+            for (const target of line) {
+                const scattered = RevealCore.scatterPoint(target, 300, random);
+                RevealCore.revealPoint(out, scattered, target, t);
+                assert.deepEqual(out, { ...target });
+            }
+            assert.equal(RevealCore.revealOpacity(t), 0.8);
+        });
+    });
+
+    it('starts scattered and hidden', () => {
+        const target = { x: 40, y: -20, z: 0 };
+        const scattered = RevealCore.scatterPoint(target, 300, createRandom(2));
+        const dist = Math.hypot(scattered.x - target.x, scattered.y - target.y);
+        assert.ok(dist >= 120 && dist <= 300);
+        assert.deepEqual(RevealCore.revealPoint({}, scattered, target, 0), scattered);
+        assert.equal(RevealCore.revealOpacity(0), 0);
+    });
+
+    it('holds late lines back and still finishes on time', () => {
+        assert.equal(RevealCore.staggeredProgress(0.3, 1, 0.4), 0);
+        assert.ok(RevealCore.staggeredProgress(0.3, 0, 0.4) > 0.3);
+        assert.equal(RevealCore.staggeredProgress(1, 1, 0.4), 1);
+    });
+
+    it('fills a line past the end of its path with the last point', () => {
+        const line = RevealCore.padPath([{ x: 9, y: 9, z: 9 }], 4);
+        assert.equal(RevealCore.fillTargets(line, [{ x: 1, y: 2, z: 0 }, { x: 3, y: 4, z: 0 }], 4), 2);
+        assert.deepEqual(line.map(p => p.x), [1, 3, 3, 3]);
+        assert.equal(RevealCore.fillTargets(line, undefined, 4), 0);
+        assert.deepEqual(line[3], { x: 0, y: 0, z: 0 });
+    });
+});
+
+describe('physics', () => {
+    const repel = { type: 'repel', radius: 150, strength: 2, fade: u => 1 - u };
+
+    // updateLines(): a fixed number of 60Hz steps whatever the frame rate
+    function settle(frameDt, seconds, current, velocity, rest) {
+        let accumulator = 0, steps = 0;
+        for (let time = 0; time < seconds; time += frameDt) {
+            const next = RevealCore.fixedSteps(accumulator, frameDt, 1 / 60);
+            accumulator = next.remainder;
+            for (let s = 0; s < next.steps; s++) {
+                current.forEach((p, j) => RevealCore.springStep(p, velocity[j], rest[j].x, rest[j].y, 0.04));
+                steps++;
+            }
+        }
+        return steps;
+    }
+
+    function pushed() {
+        const rest = logo[0].map(p => ({ ...p }));
+        const current = rest.map(p => ({ ...p, z: 20 }));
+        const velocity = rest.map(() => ({ x: 0, y: 0 }));
+        const pointer = { x: rest[0].x + 10, y: rest[0].y, vx: 0, vy: 0 };
+        current.forEach((p, j) => RevealCore.applyForce(repel, pointer, p, velocity[j]));
+        return { rest, current, velocity };
+    }
+
+    it('steps at a fixed rate whatever the frame rate', () => {
+        assert.deepEqual(RevealCore.fixedSteps(0.01, 0.03, 0.0625), { steps: 0, remainder: 0.04 });
+        for (const fps of [30, 60, 144, 240]) {
+            let accumulator = 0, total = 0;
+            for (let k = 0; k < fps * 2; k++) {
+                const next = RevealCore.fixedSteps(accumulator, 1 / fps, 1 / 60);
+                accumulator = next.remainder;
+                total += next.steps;
+            }
+            assert.ok(Math.abs(total - 120) <= 1, `${fps}fps ran ${total} steps`);
+            assert.ok(accumulator >= 0 && accumulator < 1 / 60);
+        }
+    });
+
+    it('returns a pushed line to rest', () => {
+        const { rest, current, velocity } = pushed();
+        assert.ok(velocity.some(v => v.x !== 0));
+        settle(1 / 60, 0.2, current, velocity, rest);
+        assert.ok(RevealCore.lineDisplacement(current, rest, rest.length) > 0.5);
+        settle(1 / 60, 6, current, velocity, rest);
+        assert.ok(RevealCore.lineDisplacement(current, rest, rest.length) < 0.01);
+        for (const p of current) assert.ok(Math.abs(p.z) < 0.01);
+    });
+
+    it('settles the same at any frame rate', () => {
+        const a = pushed(), b = pushed();
+        settle(1 / 60, 1, a.current, a.velocity, a.rest);
+        settle(1 / 120, 1, b.current, b.velocity, b.rest);
+        assert.ok(Math.abs(RevealCore.lineDisplacement(a.current, a.rest, a.rest.length) -
+            RevealCore.lineDisplacement(b.current, b.rest, b.rest.length)) < 0.5);
+    });
+
+    it('pushes, pulls and swirls by field type', () => {
+        const point = { x: 10, y: 0 };
+        const pointer = { x: 0, y: 0, vx: 0, vy: 0 };
+        const push = type => {
+            const velocity = { x: 0, y: 0 };
+            RevealCore.applyForce({ ...repel, type }, pointer, point, velocity);
+            return velocity;
+        };
+        assert.ok(push('repel').x > 0);
+        assert.ok(push('attract').x < 0);
+        assert.ok(push('vortex').y > 0);
+        assert.deepEqual(push('wake'), { x: 0, y: 0 });
+
+        const outside = { x: 0, y: 0 };
+        RevealCore.applyForce(repel, pointer, { x: 500, y: 0 }, outside);
+        assert.deepEqual(outside, { x: 0, y: 0 });
+    });
+
+    it('pushes points only where a ripple ring passes', () => {
+        const field = { radius: 40, strength: 3, speed: 600, duration: 1, fade: u => 1 - u };
+        const ripple = { x: 0, y: 0 };
+        const onRing = { x: 0, y: 0 }, offRing = { x: 0, y: 0 }, late = { x: 0, y: 0 };
+        RevealCore.applyRipple(field, ripple, 0.5, { x: 300, y: 0 }, onRing);
+        RevealCore.applyRipple(field, ripple, 0.5, { x: 50, y: 0 }, offRing);
+        RevealCore.applyRipple(field, ripple, 1.5, { x: 900, y: 0 }, late);
+        assert.ok(onRing.x > 0);
+        assert.deepEqual(offRing, { x: 0, y: 0 });
+        assert.deepEqual(late, { x: 0, y: 0 });
+    });
+});
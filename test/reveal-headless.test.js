@@ -0,0 +1,278 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+globalThis.THREE = require('three');
+globalThis.ArtworkSampling = require('../artwork-sampling.js');
+globalThis.RevealCore = require('../reveal-core.js');
+const { AballeRevealArt } = require('../reveal.js');
+
+const dt = 1 / 60;
+
+// AballeRevealArt on a stub renderer and a manual clock, stepped by hand
+async function createArt(config = {}, containerProps = {}) {
+    const container = Object.assign(new EventTarget(), { clientWidth: 1200, clientHeight: 800, ...containerProps });
+    let pixelRatio = 1;
+    const renderer = {
+        setPixelRatio(ratio) { pixelRatio = ratio; },
+        getPixelRatio: () => pixelRatio,
+        setSize() {},
+        getDrawingBufferSize: v => v.set(1200, 800),
+        render() {},
+        dispose() {},
+        domElement: { getBoundingClientRect: () => ({ left: 0, top: 0, width: 1200, height: 800 }) }
+    };
+    let now = 0;
+    const clock = { now: () => now, requestFrame: () => 0, cancelFrame() {} };
+    const fetch = async url => ({
+        ok: true,
+        json: async () => JSON.parse(fs.readFileSync(path.join(__dirname, '..', url), 'utf8'))
+    });
+    const art = new AballeRevealArt({ seed: 1, ...config }, { container, renderer, clock, fetch, interactive: false });
+    await art.ready;
+    art.pause();
+
+    const events = [];
+    for (const type of ['revealstart', 'revealcomplete', 'swapstart', 'swapphase', 'swapreverse', 'swapend']) {
+        container.addEventListener(type, e => events.push({ type, ...e.detail }));
+    }
+    const step = (frames = 1) => {
+        for (let k = 0; k < frames; k++) {
+            now += dt * 1000;
+            art.step(dt);
+        }
+    };
+    return { art, events, step };
+}
+
+const snapshot = art => art.currentPositions.map((line, i) => ({
+    opacity: art.lines[i].opacity,
+    points: line.map(p => p.clone())
+}));
+
+// Largest distance a visible line moved between two snapshots
+function maxMove(a, b) {
+    let max = 0;
+    a.forEach((line, i) => {
+        if (line.opacity < 0.01) return;
+        line.points.forEach((p, j) => { max = Math.max(max, p.distanceTo(b[i].points[j])); });
+    });
+    return max;
+}
+
+// Every line of `key` on its path, and every other line hidden
+function assertSettledOn(art, key) {
+    const paths = art.artworks[key].svgPaths;
+    for (let i = 0; i < art.maxLineCount; i++) {
+        if (i >= paths.length) {
+            assert.equal(art.lines[i].opacity, 0, `unused line ${i}`);
+            continue;
+        }
+        assert.equal(art.lines[i].opacity, 0.8, `line ${i}`);
+        paths[i].forEach((p, j) => {
+            const q = art.currentPositions[i][j];
+            assert.ok(Math.hypot(q.x - p.x, q.y - p.y, q.z - p.z) < 1e-6, `line ${i} point ${j}`);
+        });
+    }
+}
+
+// Step a running swap to its swapend, checking the lines as it fires. `largest` is
+// the largest move of a visible line in one frame on the way, `landing` the snap
+// in finishSwap().
+function runSwap(art, step, to) {
+    let settled = null;
+    art.container.addEventListener('swapend', () => {
+        settled = snapshot(art);
+        assertSettledOn(art, to);
+    }, { once: true });
+    let previous = snapshot(art);
+    let largest = 0;
+    let landing = 0;
+    for (let frame = 0; frame < 600 && !settled; frame++) {
+        step();
+        if (settled) {
+            landing = maxMove(previous, settled);
+            break;
+        }
+        const current = snapshot(art);
+        largest = Math.max(largest, maxMove(previous, current));
+        previous = current;
+    }
+    assert.ok(settled, 'swapend');
+    return { largest, landing };
+}
+
+describe('AballeRevealArt (headless)', () => {
+    let art, events, step;
+
+    before(async () => {
+        ({ art, events, step } = await createArt());
+        step(240);
+    });
+
+    after(() => art.destroy());
+
+    it('reveals the first artwork', () => {
+        assert.deepEqual(events.map(e => e.type), ['revealcomplete']);
+    });
+
+    for (const [label, to] of [['split', 'vertebra'], ['merge', 'logo']]) {
+        it(`${label}: swaps to ${to} without jumps and lands every line on its target`, () => {
+            const from = art.currentArtwork;
+            events.length = 0;
+            assert.ok(art.swapTo(to));
+            const { largest, landing } = runSwap(art, step, to);
+            assert.ok(largest < 50, `largest move in one frame: ${largest}`);
+            assert.ok(landing < 1, `snap onto the artwork: ${landing}`);
+
+            assert.deepEqual(events[0], { type: 'swapstart', from, to });
+            assert.deepEqual(events.filter(e => e.type === 'swapphase').map(e => e.phase),
+                art.swapTimeline.phases.map(phase => phase.name));
+            assert.deepEqual(events[events.length - 1], { type: 'swapend', artwork: to, reversed: false });
+            assert.equal(art.currentArtwork, to);
+        });
+    }
+});
+
+describe('AballeRevealArt reverseSwap (headless)', () => {
+    for (const [label, from, to] of [['split', 'logo', 'vertebra'], ['merge', 'vertebra', 'logo']]) {
+        it(`${label}: turns back and settles on ${from} in its original slots`, async () => {
+            const { art, events, step } = await createArt();
+            step(240);
+            if (from !== art.currentArtwork) {
+                art.swapTo(from);
+                step(600);
+            }
+            assert.equal(art.currentArtwork, from);
+            const lines = art.lines.slice();
+
+            events.length = 0;
+            assert.ok(art.swapTo(to));
+            step(40);
+            assert.ok(art.reverseSwap());
+            // The snap isn't checked: split children hand back to their parents' whole paths
+            const { largest } = runSwap(art, step, from);
+            assert.ok(largest < 50, `largest move in one frame: ${largest}`);
+
+            assert.deepEqual(events.find(e => e.type === 'swapreverse'), { type: 'swapreverse', to: from });
+            assert.deepEqual(events[events.length - 1], { type: 'swapend', artwork: from, reversed: true });
+            assert.equal(art.currentArtwork, from);
+            // A merge reorders the lines; turning back puts each one in the slot it started in
+            lines.forEach((line, i) => assert.equal(art.lines[i], line, `line ${i}`));
+            art.destroy();
+        });
+    }
+
+    it('finishSwap() settles a swap that is still running', async () => {
+        const { art, events, step } = await createArt();
+        step(240);
+        art.swapTo('vertebra');
+        step(20);
+        events.length = 0;
+        art.finishSwap(false);
+        assert.ok(!art.isSwapping);
+        assertSettledOn(art, 'vertebra');
+        assert.deepEqual(events, [{ type: 'swapend', artwork: 'vertebra', reversed: false }]);
+        art.destroy();
+    });
+});
+
+// What the browser sends for a tap at (x, y): touches, then emulated mouse events
+function tap(art, x, y) {
+    const changedTouches = [{ identifier: 0, clientX: x, clientY: y }];
+    art.onTouchStart({ changedTouches });
+    art.onTouchEnd({ changedTouches });
+    art.onMouseMove({ clientX: x, clientY: y });
+}
+
+describe('AballeRevealArt input (headless)', () => {
+    it('parallax ignores the mouse events a tap emulates', async () => {
+        const { art, step } = await createArt({ parallax: 'auto' });
+        step(240);
+        tap(art, 1100, 100);
+        step(30);
+        assert.ok(!art.pointers.has('mouse'));
+        assert.deepEqual(art.parallaxTarget.toArray(), [0, 0]);
+
+        // A real cursor, once the tap is over
+        step(60);
+        art.onMouseMove({ clientX: 1100, clientY: 100 });
+        step();
+        assert.ok(art.pointers.has('mouse'));
+        assert.ok(art.parallaxTarget.x > 0 && art.parallaxTarget.y < 0);
+        art.destroy();
+    });
+
+    it('leaves no force source once the fingers lift', async () => {
+        const { art, step } = await createArt();
+        step(240);
+        const touch = (identifier, x) => ({ changedTouches: [{ identifier, clientX: x, clientY: 400 }] });
+        art.onTouchStart(touch(0, 300));
+        art.onTouchStart(touch(1, 900));
+        step();
+        assert.deepEqual([...art.pointers.keys()], [0, 1]);
+
+        art.onTouchEnd(touch(0, 300));
+        assert.deepEqual([...art.pointers.keys()], [1]);
+        art.onTouchEnd(touch(1, 900));
+        art.onMouseMove({ clientX: 900, clientY: 400 });
+        step(30);
+        assert.equal(art.pointers.size, 0);
+        assert.ok(!art.isInteracting);
+
+        tap(art, 600, 400);
+        step(30);
+        assert.equal(art.pointers.size, 0);
+        assert.ok(!art.isInteracting);
+        art.destroy();
+    });
+});
+
+describe('AballeRevealArt destroy (headless)', () => {
+    it('ignores setConfig() afterwards', async () => {
+        const { art } = await createArt();
+        art.destroy();
+        art.setConfig({ lineWidth: 'source', lineColors: 'source', theme: 'light' });
+    });
+});
+
+describe('AballeRevealArt source colors (headless)', () => {
+    it('keeps the theme color where a source color would vanish on the background', async () => {
+        const { art, step } = await createArt({ lineColors: 'source', theme: 'dark' });
+        step(240);
+        // The logo is filled #010101
+        assert.equal(art.lines[0].baseColor.getHexString(), 'ffffff');
+
+        art.setConfig({ theme: 'light', themeTransition: 0.1 });
+        step(30);
+        assert.equal(art.lines[0].baseColor.getHexString(), '010101');
+        art.destroy();
+    });
+});
+
+describe('AballeRevealArt scroll morph (headless)', () => {
+    it('takes over from a click swap only once the page scrolls again', async () => {
+        let top = 0;
+        const { art, step } = await createArt({ scrollMorph: true }, {
+            closest: () => null,
+            getBoundingClientRect: () => ({ top, height: 800 })
+        });
+        step(240);
+        top = -800;
+        step(300);
+        assert.equal(art.currentArtwork, 'vertebra');
+
+        // Still scrolled all the way: the click swap stays
+        assert.ok(art.swapTo('logo'));
+        step(300);
+        assert.equal(art.currentArtwork, 'logo');
+        assert.ok(!art.isSwapping);
+
+        top = -400;
+        step();
+        assert.ok(art.isSwapping);
+        assert.equal(art.swapDriver, 'scroll');
+        art.destroy();
+    });
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Bake SVG artwork into pre-sampled JSON for reveal.js.
+ *
+ * Samples every shape with the same rules the browser uses at runtime
+ * (artwork-sampling.js: 20–150 points per path, centering, maxLines pruning)
+ * and records each path's stroke color, width, dash pattern and fill alongside it
+ * so the page can skip DOM sampling on load.
+ *
+ * Usage:
+ *   node tools/bake-artwork.js [--max-lines N] [--out DIR] logo.svg vertebra.svg
+ *
+ * Writes <name>.art.json next to each SVG (or into DIR). Register it with
+ *   art.registerArtwork('logo', { file: 'logo.svg', baked: 'logo.art.json' });
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ArtworkSampling = require('../artwork-sampling.js');
+const { parseXml, findAll, xmlTree, shapeFromElement } = require('./svg-geometry.js');
+
+function parseArgs(argv) {
+    const options = { maxLines: 0, out: null, files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--max-lines') {
+            options.maxLines = parseInt(argv[++i], 10) || 0;
+        } else if (arg === '--out') {
+            options.out = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            options.files.push(arg);
+        }
+    }
+    return options;
+}
+
+// Same walk as the runtime sampler — transforms, <use> and viewBox included
+function sampleSVG(svgText, file) {
+    const root = parseXml(svgText);
+    const svg = findAll(root, 'svg')[0];
+    if (!svg) throw new Error('no <svg> element');
+
+    const { rawPaths, styles, width, height, errors } =
+        ArtworkSampling.sampleArtwork(xmlTree(root), svg, shapeFromElement);
+    for (const { tag, error } of errors) {
+        console.warn(`${file}: skipping <${tag}>: ${error.message}`);
+    }
+    return { rawPaths, styles, width, height };
+}
+
+function bakeFile(file, options) {
+    const { rawPaths, styles, width, height } = sampleSVG(fs.readFileSync(file, 'utf8'), file);
+    const kept = ArtworkSampling.keptPathIndices(rawPaths, options.maxLines);
+    const paths = kept.map(i => rawPaths[i]);
+    const baked = ArtworkSampling.bake(paths, kept.map(i => styles[i]), width, height, path.basename(file));
+
+    const outDir = options.out || path.dirname(file);
+    const outFile = path.join(outDir, path.basename(file, path.extname(file)) + '.art.json');
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(outFile, JSON.stringify(baked) + '\n');
+
+    const points = paths.reduce((sum, p) => sum + p.length, 0);
+    console.log(`${file} → ${outFile}: ${paths.length} paths, ${points} points`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.files.length) {
+        console.log('Usage: node tools/bake-artwork.js [--max-lines N] [--out DIR] file.svg ...');
+        process.exit(options.help ? 0 : 1);
+    }
+
+    let failed = 0;
+    for (const file of options.files) {
+        try {
+            bakeFile(file, options);
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed++;
+        }
+    }
+    process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) main();
+
+module.exports = { sampleSVG };
@@ -0,0 +1,500 @@
+/**
+ * Minimal SVG geometry for Node — enough of the SVG DOM to sample artwork
+ * offline: an XML element tree, path/shape parsing, shapes exposing
+ * getTotalLength()/getPointAtLength() like SVGGeometryElement does, and
+ * the slice of the CSS cascade that stroke/fill styling needs.
+ *
+ * Curves are flattened to short chords, so lengths match the browser to
+ * well under a hundredth of a unit on our artwork.
+ */
+
+'use strict';
+
+const CURVE_SEGMENTS = 24;           // chords per Bézier segment
+const ARC_SEGMENT_ANGLE = Math.PI / 64;
+
+// ---- XML ----
+
+const TAG_RE = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+const ATTR_RE = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            return String.fromCodePoint(name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10));
+        }
+        return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+    });
+}
+
+// Element tree: { name, attrs, children, parent }. Text content is only
+// kept for <style> elements (as node.text).
+function parseXml(text) {
+    const root = { name: '#document', attrs: {}, children: [], parent: null };
+    let current = root;
+    let match;
+    let textStart = 0;
+
+    TAG_RE.lastIndex = 0;
+    while ((match = TAG_RE.exec(text))) {
+        if (current.name === 'style') {
+            current.text += text.slice(textStart, match.index);
+            if (match[0].startsWith('<![CDATA[')) current.text += match[0].slice(9, -3);
+        }
+        textStart = TAG_RE.lastIndex;
+
+        if (match[1]) {
+            current = current.parent || root;
+            continue;
+        }
+        if (!match[2]) continue; // comment, CDATA, doctype, processing instruction
+
+        const attrs = {};
+        let attr;
+        ATTR_RE.lastIndex = 0;
+        while ((attr = ATTR_RE.exec(match[3]))) {
+            attrs[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+        }
+
+        const node = { name: match[2], attrs, children: [], parent: current };
+        if (node.name === 'style') node.text = '';
+        current.children.push(node);
+        if (!match[4]) current = node;
+    }
+    return root;
+}
+
+// Depth-first, document order — like querySelectorAll(tag)
+function findAll(node, name, out = []) {
+    for (const child of node.children) {
+        if (child.name === name) out.push(child);
+        findAll(child, name, out);
+    }
+    return out;
+}
+
+// ---- CSS ----
+// Simple selectors only (tag, .class, #id and compounds of them); rules with
+// combinators or pseudo-classes are skipped. No @media, no !important.
+
+const INHERITED = new Set(['fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-dashoffset',
+    'fill-opacity', 'stroke-opacity', 'color']);
+const INITIAL = { fill: 'black', stroke: 'none', 'stroke-width': '1', 'stroke-dasharray': 'none', 'stroke-dashoffset': '0' };
+const SELECTOR_RE = /^(\*|[a-zA-Z][\w-]*)?((?:[.#][\w-]+)*)$/;
+
+function parseDeclarations(text) {
+    const declarations = {};
+    for (const part of text.split(';')) {
+        const colon = part.indexOf(':');
+        if (colon < 0) continue;
+        const name = part.slice(0, colon).trim().toLowerCase();
+        const value = part.slice(colon + 1).replace(/!important/i, '').trim();
+        if (name && value) declarations[name] = value;
+    }
+    return declarations;
+}
+
+function parseSelector(selector) {
+    const match = SELECTOR_RE.exec(selector);
+    if (!match || !selector) return null;
+    const tag = match[1] && match[1] !== '*' ? match[1] : null;
+    const parts = match[2].match(/[.#][\w-]+/g) || [];
+    const classes = parts.filter(p => p[0] === '.').map(p => p.slice(1));
+    const ids = parts.filter(p => p[0] === '#').map(p => p.slice(1));
+    return {
+        specificity: ids.length * 10000 + classes.length * 100 + (tag ? 1 : 0),
+        matches(node) {
+            if (tag && node.name !== tag) return false;
+            if (ids.some(id => node.attrs.id !== id)) return false;
+            const nodeClasses = (node.attrs.class || '').split(/\s+/);
+            return classes.every(c => nodeClasses.includes(c));
+        }
+    };
+}
+
+// Rules in source order: { matches(node), specificity, declarations }
+function parseStyleSheet(text) {
+    const rules = [];
+    const css = text.replace(/\/\*[\s\S]*?\*\//g, '');
+    const RULE_RE = /([^{}]+)\{([^{}]*)\}/g;
+    let match;
+    while ((match = RULE_RE.exec(css))) {
+        const declarations = parseDeclarations(match[2]);
+        for (const selector of match[1].split(',')) {
+            const parsed = parseSelector(selector.trim());
+            if (parsed) rules.push({ ...parsed, declarations });
+        }
+    }
+    return rules;
+}
+
+// Computed value of a CSS property: style="", then the most specific
+// (latest on ties) stylesheet rule, then the presentation attribute,
+// then the parent's value for inherited properties
+function computedStyle(node, name, rules) {
+    let value = null;
+    const inline = node.attrs.style ? parseDeclarations(node.attrs.style)[name] : undefined;
+    if (inline !== undefined) {
+        value = inline;
+    } else {
+        let best = null;
+        for (const rule of rules) {
+            if (rule.declarations[name] !== undefined && rule.matches(node) &&
+                (!best || rule.specificity >= best.specificity)) best = rule;
+        }
+        if (best) value = best.declarations[name];
+        else if (node.attrs[name] !== undefined) value = node.attrs[name];
+    }
+
+    const parentElement = node.parent && node.parent.name !== '#document' ? node.parent : null;
+    if ((value === null || value === 'inherit') && INHERITED.has(name) && parentElement) {
+        return computedStyle(parentElement, name, rules);
+    }
+    if (value === null || value === 'inherit' || value === 'initial') {
+        return INITIAL[name] !== undefined ? INITIAL[name] : null;
+    }
+    return value;
+}
+
+// Element API for ArtworkSampling.collectShapes(), over a parseXml() tree
+function xmlTree(root) {
+    let ids = null;
+    const rules = findAll(root, 'style').flatMap(node => parseStyleSheet(node.text || ''));
+    return {
+        tag: node => node.name,
+        attr: (node, name) => (node.attrs[name] !== undefined ? node.attrs[name] : null),
+        style: (node, name) => computedStyle(node, name, rules),
+        children: node => node.children,
+        byId(id) {
+            if (!ids) {
+                ids = new Map();
+                const index = node => {
+                    for (const child of node.children) {
+                        if (child.attrs.id !== undefined && !ids.has(child.attrs.id)) ids.set(child.attrs.id, child);
+                        index(child);
+                    }
+                };
+                index(root);
+            }
+            return ids.get(id) || null;
+        }
+    };
+}
+
+// ---- Path data ----
+
+const NUMBER_RE = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+
+class PathScanner {
+    constructor(d) {
+        this.d = d;
+        this.i = 0;
+    }
+
+    skip() {
+        while (this.i < this.d.length && /[\s,]/.test(this.d[this.i])) this.i++;
+    }
+
+    atEnd() {
+        this.skip();
+        return this.i >= this.d.length;
+    }
+
+    atNumber() {
+        this.skip();
+        return this.i < this.d.length && /[-+.\d]/.test(this.d[this.i]);
+    }
+
+    command() {
+        this.skip();
+        const c = this.d[this.i];
+        if (!/[MmLlHhVvCcSsQqTtAaZz]/.test(c)) throw new Error(`Bad path command "${c}" at ${this.i}`);
+        this.i++;
+        return c;
+    }
+
+    number() {
+        this.skip();
+        NUMBER_RE.lastIndex = this.i;
+        const match = NUMBER_RE.exec(this.d);
+        if (!match) throw new Error(`Expected number at ${this.i}`);
+        this.i = NUMBER_RE.lastIndex;
+        return parseFloat(match[0]);
+    }
+
+    // Arc flags may be packed without separators ("a1 1 0 011 1")
+    flag() {
+        this.skip();
+        const c = this.d[this.i];
+        if (c !== '0' && c !== '1') throw new Error(`Expected arc flag at ${this.i}`);
+        this.i++;
+        return c === '1';
+    }
+}
+
+function cubicPoints(out, x0, y0, x1, y1, x2, y2, x3, y3) {
+    for (let k = 1; k <= CURVE_SEGMENTS; k++) {
+        const t = k / CURVE_SEGMENTS, u = 1 - t;
+        out.push({
+            x: u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x3,
+            y: u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y3
+        });
+    }
+}
+
+function quadraticPoints(out, x0, y0, x1, y1, x2, y2) {
+    for (let k = 1; k <= CURVE_SEGMENTS; k++) {
+        const t = k / CURVE_SEGMENTS, u = 1 - t;
+        out.push({
+            x: u * u * x0 + 2 * u * t * x1 + t * t * x2,
+            y: u * u * y0 + 2 * u * t * y1 + t * t * y2
+        });
+    }
+}
+
+// Endpoint → center parameterization (SVG 1.1 F.6.5), then flatten
+function arcPoints(out, x0, y0, rx, ry, rotation, largeArc, sweep, x, y) {
+    if (x0 === x && y0 === y) return;
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (!rx || !ry) {
+        out.push({ x, y });
+        return;
+    }
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const dx = (x0 - x) / 2, dy = (y0 - y) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // Scale up radii that are too small to reach the endpoint
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * (rx * y1p / ry);
+    const cyp = coef * -(ry * x1p / rx);
+    const cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+    const cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    const steps = Math.max(4, Math.ceil(Math.abs(delta) / ARC_SEGMENT_ANGLE));
+    for (let k = 1; k <= steps; k++) {
+        const theta = theta1 + delta * (k / steps);
+        const ex = rx * Math.cos(theta), ey = ry * Math.sin(theta);
+        out.push(k === steps ? { x, y } : { x: cos * ex - sin * ey + cx, y: sin * ex + cos * ey + cy });
+    }
+}
+
+// Path data → subpaths of flattened points (moves start a new subpath)
+function flattenPathData(d) {
+    const scanner = new PathScanner(d || '');
+    const subpaths = [];
+    let current = null;
+    let x = 0, y = 0, startX = 0, startY = 0;
+    let lastControlX = 0, lastControlY = 0, lastCommand = '';
+
+    while (!scanner.atEnd()) {
+        const command = scanner.command();
+        const relative = command === command.toLowerCase();
+        const upper = command.toUpperCase();
+        let first = true;
+
+        // Commands repeat while numbers follow (Z takes none)
+        do {
+            const ox = relative ? x : 0, oy = relative ? y : 0;
+
+            if (upper === 'M') {
+                x = ox + scanner.number();
+                y = oy + scanner.number();
+                if (first) {
+                    current = [{ x, y }];
+                    subpaths.push(current);
+                    startX = x;
+                    startY = y;
+                } else {
+                    current.push({ x, y }); // extra M pairs are implicit L
+                }
+            } else if (upper === 'Z') {
+                if (current) current.push({ x: startX, y: startY });
+                x = startX;
+                y = startY;
+                current = null;
+            } else {
+                if (!current) {
+                    current = [{ x, y }];
+                    subpaths.push(current);
+                }
+                if (upper === 'L') {
+                    x = ox + scanner.number();
+                    y = oy + scanner.number();
+                    current.push({ x, y });
+                } else if (upper === 'H') {
+                    x = ox + scanner.number();
+                    current.push({ x, y });
+                } else if (upper === 'V') {
+                    y = oy + scanner.number();
+                    current.push({ x, y });
+                } else if (upper === 'C' || upper === 'S') {
+                    let x1, y1;
+                    if (upper === 'C') {
+                        x1 = ox + scanner.number();
+                        y1 = oy + scanner.number();
+                    } else {
+                        const smooth = /[CS]/.test(lastCommand);
+                        x1 = smooth ? 2 * x - lastControlX : x;
+                        y1 = smooth ? 2 * y - lastControlY : y;
+                    }
+                    const x2 = ox + scanner.number(), y2 = oy + scanner.number();
+                    const ex = ox + scanner.number(), ey = oy + scanner.number();
+                    cubicPoints(current, x, y, x1, y1, x2, y2, ex, ey);
+                    lastControlX = x2;
+                    lastControlY = y2;
+                    x = ex;
+                    y = ey;
+                } else if (upper === 'Q' || upper === 'T') {
+                    let x1, y1;
+                    if (upper === 'Q') {
+                        x1 = ox + scanner.number();
+                        y1 = oy + scanner.number();
+                    } else {
+                        const smooth = /[QT]/.test(lastCommand);
+                        x1 = smooth ? 2 * x - lastControlX : x;
+                        y1 = smooth ? 2 * y - lastControlY : y;
+                    }
+                    const ex = ox + scanner.number(), ey = oy + scanner.number();
+                    quadraticPoints(current, x, y, x1, y1, ex, ey);
+                    lastControlX = x1;
+                    lastControlY = y1;
+                    x = ex;
+                    y = ey;
+                } else if (upper === 'A') {
+                    const rx = scanner.number(), ry = scanner.number(), rotation = scanner.number();
+                    const largeArc = scanner.flag(), sweep = scanner.flag();
+                    const ex = ox + scanner.number(), ey = oy + scanner.number();
+                    arcPoints(current, x, y, rx, ry, rotation, largeArc, sweep, ex, ey);
+                    x = ex;
+                    y = ey;
+                }
+            }
+
+            lastCommand = upper;
+            first = false;
+        } while (upper !== 'Z' && scanner.atNumber());
+    }
+
+    return subpaths;
+}
+
+// ---- Basic shapes as path data (same start point and direction as the SVG DOM) ----
+
+function num(node, name) {
+    const value = parseFloat(node.attrs[name]);
+    return Number.isFinite(value) ? value : 0;
+}
+
+function pointsToPathData(points, close) {
+    const values = (points || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+    if (values.length < 4) return '';
+    let d = `M${values[0]} ${values[1]}`;
+    for (let i = 2; i + 1 < values.length; i += 2) d += ` L${values[i]} ${values[i + 1]}`;
+    return close ? d + ' Z' : d;
+}
+
+function ellipsePathData(cx, cy, rx, ry) {
+    if (rx <= 0 || ry <= 0) return '';
+    return `M${cx + rx} ${cy} A${rx} ${ry} 0 0 1 ${cx} ${cy + ry} A${rx} ${ry} 0 0 1 ${cx - rx} ${cy}` +
+        ` A${rx} ${ry} 0 0 1 ${cx} ${cy - ry} A${rx} ${ry} 0 0 1 ${cx + rx} ${cy} Z`;
+}
+
+function rectPathData(node) {
+    const x = num(node, 'x'), y = num(node, 'y');
+    const w = num(node, 'width'), h = num(node, 'height');
+    if (w <= 0 || h <= 0) return '';
+
+    // rx/ry default to each other, clamp to half the side
+    let rx = node.attrs.rx !== undefined ? num(node, 'rx') : num(node, 'ry');
+    let ry = node.attrs.ry !== undefined ? num(node, 'ry') : rx;
+    rx = Math.min(rx, w / 2);
+    ry = Math.min(ry, h / 2);
+
+    if (!rx || !ry) return `M${x} ${y} H${x + w} V${y + h} H${x} Z`;
+    return `M${x + rx} ${y} H${x + w - rx} A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}` +
+        ` V${y + h - ry} A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}` +
+        ` H${x + rx} A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}` +
+        ` V${y + ry} A${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`;
+}
+
+function shapePathData(node) {
+    switch (node.name) {
+        case 'path': return node.attrs.d || '';
+        case 'polygon': return pointsToPathData(node.attrs.points, true);
+        case 'polyline': return pointsToPathData(node.attrs.points, false);
+        case 'rect': return rectPathData(node);
+        case 'circle': return ellipsePathData(num(node, 'cx'), num(node, 'cy'), num(node, 'r'), num(node, 'r'));
+        case 'ellipse': return ellipsePathData(num(node, 'cx'), num(node, 'cy'), num(node, 'rx'), num(node, 'ry'));
+        case 'line': return `M${num(node, 'x1')} ${num(node, 'y1')} L${num(node, 'x2')} ${num(node, 'y2')}`;
+        default: return '';
+    }
+}
+
+// ---- Geometry shape: the subset of SVGGeometryElement the sampler uses ----
+
+class GeometryShape {
+    constructor(subpaths, tag) {
+        this.tag = tag;
+        this.segments = [];         // { x0, y0, x1, y1, start, length } — moves excluded
+        this.totalLength = 0;
+
+        for (const points of subpaths) {
+            for (let k = 1; k < points.length; k++) {
+                const a = points[k - 1], b = points[k];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length === 0) continue;
+                this.segments.push({ x0: a.x, y0: a.y, x1: b.x, y1: b.y, start: this.totalLength, length });
+                this.totalLength += length;
+            }
+        }
+        this.firstPoint = subpaths.length && subpaths[0].length ? subpaths[0][0] : { x: 0, y: 0 };
+    }
+
+    getTotalLength() {
+        return this.totalLength;
+    }
+
+    getPointAtLength(distance) {
+        const segments = this.segments;
+        if (!segments.length) return { x: this.firstPoint.x, y: this.firstPoint.y };
+        distance = Math.max(0, Math.min(this.totalLength, distance));
+
+        // Binary search for the segment containing distance
+        let lo = 0, hi = segments.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (segments[mid].start <= distance) lo = mid; else hi = mid - 1;
+        }
+        const s = segments[lo];
+        const t = Math.min(1, (distance - s.start) / s.length);
+        return { x: s.x0 + (s.x1 - s.x0) * t, y: s.y0 + (s.y1 - s.y0) * t };
+    }
+}
+
+function shapeFromElement(node) {
+    return new GeometryShape(flattenPathData(shapePathData(node)), node.name);
+}
+
+module.exports = { parseXml, findAll, xmlTree, flattenPathData, shapeFromElement, GeometryShape };